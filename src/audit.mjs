@@ -0,0 +1,116 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { redact } from "./logging.mjs";
+
+export const AUDIT_OUTCOMES = ["success", "error", "cancelled"];
+
+export function defaultAuditPath() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+  return path.join(base, "image-mcp", "audit.jsonl");
+}
+
+// Files a result points at: generated images and variants, plus what the
+// batch, Markdown, comparison and icon tools wrote next to them
+export function outputPaths(structuredContent) {
+  if (!structuredContent) return [];
+  const paths = [
+    ...(structuredContent.paths || []),
+    ...(structuredContent.variants || []).map((variant) => variant.path),
+    ...(structuredContent.items || []).map((item) => item.path),
+    ...(structuredContent.files_changed || []),
+    structuredContent.manifest,
+    structuredContent.snippet,
+  ];
+  return [...new Set(paths.filter((item) => typeof item === "string"))];
+}
+
+// Append-only JSONL of every tool call a client made: what it asked for,
+// how long it took, how it ended and what it wrote. Arguments are redacted
+// before they reach the disk. IMAGE_MCP_AUDIT_LOG=off turns it off.
+export class AuditLog {
+  constructor({ path: filePath = process.env.IMAGE_MCP_AUDIT_LOG || defaultAuditPath() } = {}) {
+    this.enabled = filePath !== "off" && filePath !== false;
+    this.path = this.enabled ? filePath : null;
+  }
+
+  async read() {
+    if (!this.enabled) return [];
+    let text;
+    try {
+      text = await fs.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const entries = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip a damaged line rather than losing the whole log
+      }
+    }
+    return entries;
+  }
+
+  async append(entry) {
+    if (!this.enabled) return;
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.appendFile(this.path, `${JSON.stringify(redact(entry))}\n`, "utf8");
+  }
+
+  // Newest first. since and until are ISO timestamps, with or without an
+  // offset, or dates; a date as until takes in the whole day.
+  async query({ tool, outcome, session, since, until, limit = 50 } = {}) {
+    const from = since ? Date.parse(since) : -Infinity;
+    const to = !until
+      ? Infinity
+      : /^\d{4}-\d{2}-\d{2}$/.test(until)
+        ? Date.parse(`${until}T23:59:59.999Z`)
+        : Date.parse(until);
+    const matches = (await this.read()).filter((entry) => {
+      const at = Date.parse(entry.at);
+      return (
+        (!tool || entry.tool === tool) &&
+        (!outcome || entry.outcome === outcome) &&
+        (!session || entry.session === session) &&
+        at >= from &&
+        at <= to
+      );
+    });
+    return {
+      entries: matches.reverse().slice(0, limit),
+      matched: matches.length,
+    };
+  }
+}
+
+export const AUDIT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    entries: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          at: { type: "string", description: "When the call started" },
+          session: { type: "string" },
+          tool: { type: "string" },
+          job_id: { type: "string", description: "Set for calls run by an image job" },
+          params: { type: "object", description: "Arguments as the client sent them, secrets redacted" },
+          duration_ms: { type: "number" },
+          outcome: { type: "string", enum: AUDIT_OUTCOMES },
+          error: { type: "string" },
+          paths: { type: "array", items: { type: "string" } },
+          cost: { type: "number" },
+        },
+        required: ["at", "tool", "outcome"],
+      },
+    },
+    matched: { type: "number", description: "Entries matching the filters, before the limit" },
+    log: { type: "string", description: "Path of the audit log" },
+  },
+  required: ["entries", "matched"],
+};
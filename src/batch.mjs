@@ -0,0 +1,151 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { Limiter } from "./jobs.mjs";
+import { CancelledError } from "./progress.mjs";
+
+export const MAX_BATCH_ITEMS = 100;
+
+export const BATCH_ITEM_PROPERTIES = {
+  name: {
+    type: "string",
+    description: "Label for the report, also used as the output filename when output is not set",
+  },
+  prompt: { type: "string" },
+  size: { type: "string" },
+  aspect_ratio: { type: "string" },
+  model: { type: "string" },
+  provider: { type: "string" },
+  quality: { type: "string" },
+  count: { type: "number" },
+  output: { type: "string" },
+  output_dir: { type: "string" },
+  seed: { type: "number" },
+  background: { type: "string", enum: ["auto", "transparent", "opaque"] },
+  alt_text: { type: "boolean" },
+  style: { type: "string" },
+  force: { type: "boolean" },
+};
+
+export const BATCH_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          index: { type: "number" },
+          name: { type: "string" },
+          status: { type: "string", enum: ["succeeded", "failed", "cancelled"] },
+          paths: { type: "array", items: { type: "string" } },
+          result: { type: "object" },
+          error: { type: "string" },
+        },
+        required: ["index", "status"],
+      },
+    },
+    succeeded: { type: "number" },
+    failed: { type: "number" },
+  },
+  required: ["items", "succeeded", "failed"],
+};
+
+// Reads a JSON or YAML manifest: either a list of specs or { defaults, items }.
+// Relative output_dir values are resolved against the manifest's directory.
+export async function loadManifest(manifestPath) {
+  if (!path.isAbsolute(manifestPath)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      "Manifest must be an absolute path"
+    );
+  }
+
+  let parsed;
+  try {
+    const text = await fs.readFile(manifestPath, "utf8");
+    parsed = /\.ya?ml$/i.test(manifestPath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Could not read manifest ${manifestPath}: ${error.message}`
+    );
+  }
+
+  const { defaults = {}, items } = Array.isArray(parsed)
+    ? { items: parsed }
+    : parsed || {};
+  if (!Array.isArray(items)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      "Manifest must be a list of specs or an object with an items list"
+    );
+  }
+
+  const baseDir = path.dirname(manifestPath);
+  return items.map((item) => {
+    const spec = { ...defaults, ...item };
+    if (spec.output_dir && !path.isAbsolute(spec.output_dir)) {
+      spec.output_dir = path.resolve(baseDir, spec.output_dir);
+    }
+    return spec;
+  });
+}
+
+// Turns a batch spec into generate_ai_image arguments
+export function specArguments({ name, ...spec }) {
+  const slug = name
+    ?.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return {
+    ...spec,
+    ...(!spec.output && slug && { output: `${slug}.png` }),
+    include_image: false,
+  };
+}
+
+// Runs every spec with bounded concurrency. Failures are recorded per item
+// instead of rejecting, so one bad prompt doesn't sink the batch.
+export async function runBatch(specs, { concurrency, run, onItemDone, signal }) {
+  if (!specs.length) {
+    throw new McpError(ErrorCode.InvalidParams, "The batch has no items");
+  }
+  if (specs.length > MAX_BATCH_ITEMS) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Batches are limited to ${MAX_BATCH_ITEMS} items, got ${specs.length}`
+    );
+  }
+
+  const limiter = new Limiter(concurrency);
+  let done = 0;
+
+  return Promise.all(
+    specs.map(async (spec, index) => {
+      const name = spec.name || `item-${index + 1}`;
+      let report;
+      try {
+        const result = await limiter.run(() => run(spec, index), { signal });
+        report = {
+          index,
+          name,
+          status: "succeeded",
+          paths: result.structuredContent?.paths || [],
+          result: result.structuredContent,
+        };
+      } catch (error) {
+        report = {
+          index,
+          name,
+          status: error instanceof CancelledError ? "cancelled" : "failed",
+          error: error.message,
+        };
+      }
+      done += 1;
+      await onItemDone?.(report, done);
+      return report;
+    })
+  );
+}
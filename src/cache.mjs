@@ -0,0 +1,268 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createHash } from "crypto";
+import { log } from "./logging.mjs";
+
+const ENTRY_FILENAME = "entry.json";
+
+export const DEFAULT_CACHE_MAX_SIZE_MB = 1024;
+export const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+
+export function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "image-mcp");
+}
+
+function hash(value) {
+  return createHash("sha256").update(JSON.stringify(value)).digest("hex");
+}
+
+// What the provider is asked for; anything that changes the pixels it returns.
+// `options` holds local settings such as a seed, and is left out of the hash
+// when absent so existing keys stay valid.
+export function cacheKey({ provider, model, prompt, size, quality, options }) {
+  return hash({
+    provider,
+    model,
+    prompt,
+    size: size || null,
+    quality: quality || null,
+    ...(options && { options }),
+  });
+}
+
+// A prompt refinement depends on the prompt and what it is styled and sized for
+export function refinementKey({ prompt, style, size, aspect_ratio }) {
+  return hash({
+    refine: prompt,
+    style: style || null,
+    size: size || null,
+    aspect_ratio: aspect_ratio || null,
+  });
+}
+
+// Where and how the cached images were post-processed, so an identical repeat
+// can be answered with the files it already produced
+export function outputFingerprint(args) {
+  return hash({
+    output_dir: args.output_dir,
+    output: args.output || null,
+    size: args.size || null,
+    aspect_ratio: args.aspect_ratio || null,
+    fit: args.fit || "cover",
+    count: args.count || 1,
+    optimize: args.optimize || null,
+  });
+}
+
+async function exists(filePath) {
+  return await fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+}
+
+// Raw provider images stored by key under <dir>/<key>/, with an entry.json
+// holding the request and the outputs made from them. Entries not used for
+// max_age_days are dropped, then the least recently used until the cache
+// fits in max_size_mb.
+export class ImageCache {
+  constructor({
+    dir = process.env.IMAGE_MCP_CACHE_DIR || defaultCacheDir(),
+    enabled = process.env.IMAGE_MCP_CACHE !== "off",
+    max_size_mb = DEFAULT_CACHE_MAX_SIZE_MB,
+    max_age_days = DEFAULT_CACHE_MAX_AGE_DAYS,
+  } = {}) {
+    this.dir = dir;
+    this.enabled = enabled;
+    this.maxBytes = max_size_mb * 1024 * 1024;
+    this.maxAgeMs = max_age_days * 24 * 60 * 60 * 1000;
+  }
+
+  entryDir(key) {
+    return path.join(this.dir, key);
+  }
+
+  async readEntry(key) {
+    try {
+      return JSON.parse(
+        await fs.readFile(path.join(this.entryDir(key), ENTRY_FILENAME), "utf8")
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  async writeEntry(entry) {
+    await fs.writeFile(
+      path.join(this.entryDir(entry.key), ENTRY_FILENAME),
+      `${JSON.stringify(entry, null, 2)}\n`,
+      "utf8"
+    );
+  }
+
+  // An entry with at least `count` images whose files are all still there
+  async lookup(key, count = 1) {
+    if (!this.enabled) return null;
+    const entry = await this.readEntry(key);
+    if (!entry || entry.files.length < count) return null;
+    for (const file of entry.files.slice(0, count)) {
+      if (!(await exists(path.join(this.entryDir(key), file)))) return null;
+    }
+    entry.last_used_at = new Date().toISOString();
+    await this.writeEntry(entry).catch(() => {});
+    return entry;
+  }
+
+  // Copies freshly generated files into the cache before they get resized or
+  // converted in place
+  async store(key, request, savedPaths) {
+    if (!this.enabled || !savedPaths.length) return null;
+    const dir = this.entryDir(key);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = [];
+    let bytes = 0;
+    for (const [index, savedPath] of savedPaths.entries()) {
+      const file = `${index}${path.extname(savedPath) || ".png"}`;
+      await fs.copyFile(savedPath, path.join(dir, file));
+      bytes += (await fs.stat(savedPath)).size;
+      files.push(file);
+    }
+
+    const now = new Date().toISOString();
+    const entry = { key, ...request, files, bytes, outputs: {}, created_at: now, last_used_at: now };
+    await this.writeEntry(entry);
+    await this.evict().catch((error) => {
+      log("warning", `Cache eviction failed: ${error.message}`);
+    });
+    return entry;
+  }
+
+  // Outputs recorded for this fingerprint, if every file is still on disk
+  async reusableOutput(entry, fingerprint) {
+    const output = entry.outputs?.[fingerprint];
+    if (!output) return null;
+    const files = [...output.paths, ...(output.variants || []).map((variant) => variant.path)];
+    for (const file of files) {
+      if (!(await exists(file))) return null;
+    }
+    return output;
+  }
+
+  async rememberOutput(key, fingerprint, output) {
+    const entry = await this.readEntry(key);
+    if (!entry) return;
+    entry.outputs = { ...entry.outputs, [fingerprint]: output };
+    await this.writeEntry(entry);
+  }
+
+  // Refined prompts are kept as entries without images, so they age out and
+  // clear with the rest
+  async refinement(key) {
+    if (!this.enabled) return null;
+    const entry = await this.readEntry(key);
+    if (!entry?.refinement) return null;
+    entry.last_used_at = new Date().toISOString();
+    await this.writeEntry(entry).catch(() => {});
+    return entry.refinement;
+  }
+
+  async rememberRefinement(key, refinement) {
+    if (!this.enabled) return;
+    const now = new Date().toISOString();
+    await fs.mkdir(this.entryDir(key), { recursive: true });
+    await this.writeEntry({
+      key,
+      refinement,
+      files: [],
+      bytes: 0,
+      created_at: now,
+      last_used_at: now,
+    });
+  }
+
+  // Copies cached images into outputDir, named like the provider would
+  async copyTo(entry, { outputDir, output, count = 1 }) {
+    const stamp = Date.now();
+    const paths = [];
+    for (const [index, file] of entry.files.slice(0, count).entries()) {
+      const ext = path.extname(file);
+      const name = output
+        ? `${path.parse(output).name}${index === 0 ? "" : `-${index + 1}`}${path.extname(output) || ext}`
+        : `img-${stamp}-${index}${ext}`;
+      const target = path.join(outputDir, name);
+      await fs.copyFile(path.join(this.entryDir(entry.key), file), target);
+      paths.push(target);
+    }
+    return paths;
+  }
+
+  async entries() {
+    let keys;
+    try {
+      keys = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const entries = await Promise.all(keys.map((key) => this.readEntry(key)));
+    return entries.filter(Boolean);
+  }
+
+  async remove(entries) {
+    let bytes = 0;
+    for (const entry of entries) {
+      await fs.rm(this.entryDir(entry.key), { recursive: true, force: true });
+      bytes += entry.bytes || 0;
+    }
+    return { removed: entries.length, bytes_freed: bytes };
+  }
+
+  async evict() {
+    const now = Date.now();
+    const byUse = (await this.entries()).sort(
+      (a, b) => Date.parse(a.last_used_at) - Date.parse(b.last_used_at)
+    );
+    const expired = byUse.filter((entry) => now - Date.parse(entry.last_used_at) > this.maxAgeMs);
+    const kept = byUse.filter((entry) => !expired.includes(entry));
+
+    let total = kept.reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    const overflow = [];
+    while (total > this.maxBytes && kept.length > 1) {
+      const entry = kept.shift();
+      overflow.push(entry);
+      total -= entry.bytes || 0;
+    }
+    return await this.remove([...expired, ...overflow]);
+  }
+
+  // Drops everything, or only entries not used in the last olderThanDays days
+  async clear({ olderThanDays } = {}) {
+    const entries = await this.entries();
+    const cutoff = olderThanDays === undefined ? Infinity : Date.now() - olderThanDays * 86400000;
+    const result = await this.remove(
+      entries.filter((entry) => Date.parse(entry.last_used_at) < cutoff)
+    );
+    const remaining = await this.entries();
+    return {
+      ...result,
+      remaining: remaining.length,
+      remaining_bytes: remaining.reduce((sum, entry) => sum + (entry.bytes || 0), 0),
+    };
+  }
+}
+
+export const CLEAR_CACHE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    dir: { type: "string" },
+    removed: { type: "number", description: "Cache entries deleted" },
+    bytes_freed: { type: "number" },
+    remaining: { type: "number" },
+    remaining_bytes: { type: "number" },
+  },
+  required: ["removed", "bytes_freed"],
+};
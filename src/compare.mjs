@@ -0,0 +1,188 @@
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+// Every cell is a paid generation, so keep grids to a glanceable size
+export const MAX_COMPARE_CELLS = 16;
+
+export const DEFAULT_CELL_WIDTH = 320;
+
+const GAP = 12;
+const ROW_TITLE_HEIGHT = 28;
+const LABEL_HEIGHT = 44;
+const BACKGROUND = "#f4f4f5";
+
+// One cell per prompt, model and quality. Prompts are rows, model and
+// quality pairs are columns, so each column reads as one contender.
+export function compareCells({ prompts, models, qualities = [] }) {
+  if (!prompts.length) {
+    throw new McpError(ErrorCode.InvalidParams, "Pass a prompt or prompts to compare");
+  }
+  if (!models?.length) {
+    throw new McpError(ErrorCode.InvalidParams, "Pass at least one model to compare");
+  }
+  const columns = models.flatMap((model) =>
+    (qualities.length ? qualities : [undefined]).map((quality) => ({ model, quality }))
+  );
+  const cells = prompts.flatMap((prompt, row) =>
+    columns.map((column, index) => ({ row, column: index, prompt, ...column }))
+  );
+  if (cells.length > MAX_COMPARE_CELLS) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Comparisons are limited to ${MAX_COMPARE_CELLS} images, this one needs ${cells.length} (${prompts.length} prompt(s) x ${columns.length} model/quality pair(s))`
+    );
+  }
+  return cells;
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// e.g. compare-2025-01-01T...-gpt-image-1-high-p2.png
+export function cellFilename(run, cell, promptCount) {
+  return [
+    run,
+    slugify(cell.model),
+    cell.quality && slugify(cell.quality),
+    promptCount > 1 && `p${cell.row + 1}`,
+  ]
+    .filter(Boolean)
+    .join("-")
+    .concat(".png");
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+export function describeCell(cell) {
+  if (cell.status !== "succeeded") {
+    // The JSON-RPC code prefix means nothing on a picture
+    const reason = cell.error?.replace(/^MCP error -?\d+: /, "") || "no image";
+    return truncate(`${cell.status}: ${reason}`, 60);
+  }
+  return [
+    `${cell.seconds.toFixed(1)}s`,
+    cell.cached && "cached",
+    cell.cost !== undefined ? `$${cell.cost.toFixed(3)}` : "cost unknown",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// Lays the cells out as a grid with the prompt above each row and the
+// model, time and cost under each image. Failed cells are left blank with
+// the reason, so the grid keeps its shape.
+export async function buildContactSheet(cells, { prompts, cellWidth = DEFAULT_CELL_WIDTH, outputPath }) {
+  const columns = Math.max(...cells.map((cell) => cell.column)) + 1;
+  const first = cells.find((cell) => cell.path);
+  const { width, height } = first ? await sharp(first.path).metadata() : { width: 1, height: 1 };
+  const cellHeight = Math.round((cellWidth * height) / width);
+  const charsPerLine = Math.floor(cellWidth / 7.5);
+
+  const sheetWidth = GAP + columns * (cellWidth + GAP);
+  const rowHeight = ROW_TITLE_HEIGHT + cellHeight + LABEL_HEIGHT + GAP;
+  const sheetHeight = GAP + prompts.length * rowHeight;
+
+  const composites = [];
+  const text = [];
+  prompts.forEach((prompt, row) => {
+    text.push(
+      `<text x="${GAP}" y="${GAP + row * rowHeight + 18}" font-size="14" font-weight="bold">${escapeXml(
+        truncate(prompt, Math.floor(sheetWidth / 8))
+      )}</text>`
+    );
+  });
+
+  for (const cell of cells) {
+    const left = GAP + cell.column * (cellWidth + GAP);
+    const top = GAP + cell.row * rowHeight + ROW_TITLE_HEIGHT;
+    if (cell.path) {
+      composites.push({
+        input: await sharp(cell.path)
+          .resize(cellWidth, cellHeight, { fit: "contain", background: BACKGROUND })
+          .png()
+          .toBuffer(),
+        left,
+        top,
+      });
+    } else {
+      text.push(
+        `<rect x="${left}" y="${top}" width="${cellWidth}" height="${cellHeight}" fill="#e4e4e7"/>`
+      );
+    }
+    const label = [cell.model, cell.quality].filter(Boolean).join(" · ");
+    text.push(
+      `<text x="${left}" y="${top + cellHeight + 17}" font-size="13" font-weight="bold">${escapeXml(
+        truncate(label, charsPerLine)
+      )}</text>`,
+      `<text x="${left}" y="${top + cellHeight + 35}" font-size="12" fill="${
+        cell.status === "succeeded" ? "#3f3f46" : "#b91c1c"
+      }">${escapeXml(truncate(describeCell(cell), charsPerLine))}</text>`
+    );
+  }
+
+  composites.push({
+    input: Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${sheetWidth}" height="${sheetHeight}"><g font-family="sans-serif" fill="#18181b">${text.join("")}</g></svg>`
+    ),
+    left: 0,
+    top: 0,
+  });
+
+  await sharp({
+    create: { width: sheetWidth, height: sheetHeight, channels: 3, background: BACKGROUND },
+  })
+    .composite(composites)
+    .png()
+    .toFile(outputPath);
+  return outputPath;
+}
+
+export const COMPARE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    paths: {
+      type: "array",
+      items: { type: "string" },
+      description: "The contact sheet; each cell's own file is in items",
+    },
+    contact_sheet: { type: "string" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          prompt: { type: "string" },
+          model: { type: "string" },
+          quality: { type: "string" },
+          provider: { type: "string" },
+          status: { type: "string", enum: ["succeeded", "failed", "cancelled"] },
+          path: { type: "string" },
+          seconds: {
+            type: "number",
+            description: "Generation time for this cell, including retries but not the wait for a free slot",
+          },
+          cost: { type: "number" },
+          cached: { type: "boolean" },
+          error: { type: "string" },
+        },
+        required: ["prompt", "model", "status"],
+      },
+    },
+    cost: { type: "number", description: "Estimated USD for all cells with a known price" },
+  },
+  required: ["paths", "contact_sheet", "items"],
+};
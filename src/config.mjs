@@ -0,0 +1,306 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { OUTPUT_FORMATS } from "./imageops.mjs";
+import { MOCK_FAILURES } from "./mock.mjs";
+
+export const CONFIG_FILENAME = "image-mcp.config.json";
+
+// Keys a config may set under "defaults"; presets accept these plus
+// description, size and aspect_ratio
+const DEFAULT_KEYS = [
+  "provider",
+  "model",
+  "quality",
+  "output_dir",
+  "format",
+  "optimize",
+  "size",
+  "fit",
+  "alt_text",
+  "style",
+];
+
+const PRESET_KEYS = [...DEFAULT_KEYS, "description", "aspect_ratio", "count"];
+
+const CACHE_KEYS = ["enabled", "dir", "max_size_mb", "max_age_days"];
+
+const BUDGET_KEYS = ["session_usd", "daily_usd"];
+
+const RETRY_KEYS = ["retries", "base_delay_ms", "max_delay_ms"];
+
+const LOCAL_PROVIDERS = ["automatic1111", "comfyui"];
+
+const LOCAL_KEYS = [
+  "url",
+  "workflow",
+  "checkpoint",
+  "steps",
+  "sampler",
+  "scheduler",
+  "cfg_scale",
+  "seed",
+  "negative_prompt",
+  "timeout_ms",
+];
+
+const MOCK_KEYS = ["enabled", "latency_ms", "fail", "fail_rate"];
+
+const VISION_KEYS = ["base_url", "model", "api_key_env", "max_tokens"];
+
+const PRESET_NAME = /^[a-z][a-z0-9_-]*$/;
+
+// The size shortcuts, now plain presets that a config can override or turn
+// off with `"square_image": false`
+export const BUILTIN_PRESETS = {
+  square_image: {
+    size: "1024x1024",
+    description: "Generate a square AI image (1024x1024) - shortcut for generate_ai_image",
+  },
+  landscape_image: {
+    size: "1536x1024",
+    description:
+      "Generate a landscape AI image (1536x1024) - works great for cover images - shortcut for generate_ai_image",
+  },
+  portrait_image: {
+    size: "1024x1536",
+    description: "Generate a portrait AI image (1024x1536) - shortcut for generate_ai_image",
+  },
+};
+
+export function userConfigPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "image-mcp", "config.json");
+}
+
+export function projectConfigPath(cwd = process.cwd()) {
+  return process.env.IMAGE_MCP_CONFIG || path.join(cwd, CONFIG_FILENAME);
+}
+
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read config ${filePath}: ${error.message}`);
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("expected a JSON object");
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid config ${filePath}: ${error.message}`);
+  }
+}
+
+function pick(source, keys, filePath, label) {
+  const unknown = Object.keys(source).filter((key) => !keys.includes(key));
+  if (unknown.length) {
+    throw new Error(
+      `Invalid config ${filePath}: unknown ${label} option(s) ${unknown.join(", ")}`
+    );
+  }
+  if (source.format !== undefined && !OUTPUT_FORMATS.includes(source.format)) {
+    throw new Error(
+      `Invalid config ${filePath}: format must be one of ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+  // Relative output directories are relative to the file that names them
+  if (source.output_dir && !path.isAbsolute(source.output_dir)) {
+    return {
+      ...source,
+      output_dir: path.resolve(path.dirname(filePath), source.output_dir),
+    };
+  }
+  return { ...source };
+}
+
+// Loads the user-level config, then the project config on top of it. Presets
+// merge by name, so a project can override one user preset and keep the rest.
+export function loadConfig({ cwd = process.cwd() } = {}) {
+  const config = {
+    defaults: {},
+    presets: { ...BUILTIN_PRESETS },
+    roots: [],
+    cache: {},
+    usage: { prices: {}, budgets: {} },
+    audit: {},
+    retry: {},
+    fallbacks: [],
+    local: {},
+    vision: {},
+    mock: {},
+    promptDirs: [],
+    sources: [],
+  };
+
+  for (const filePath of [userConfigPath(), projectConfigPath(cwd)]) {
+    const file = readConfigFile(filePath);
+    if (!file) continue;
+    config.sources.push(filePath);
+
+    if (file.roots !== undefined && !Array.isArray(file.roots)) {
+      throw new Error(`Invalid config ${filePath}: roots must be a list of directories`);
+    }
+    // Roots from both files add up; relative ones are relative to the file
+    for (const root of file.roots || []) {
+      config.roots.push(path.resolve(path.dirname(filePath), root));
+    }
+
+    const cache = file.cache || {};
+    const unknownCache = Object.keys(cache).filter((key) => !CACHE_KEYS.includes(key));
+    if (unknownCache.length) {
+      throw new Error(
+        `Invalid config ${filePath}: unknown cache option(s) ${unknownCache.join(", ")}`
+      );
+    }
+    Object.assign(config.cache, cache);
+    if (cache.dir) {
+      config.cache.dir = path.resolve(path.dirname(filePath), cache.dir);
+    }
+
+    const budgets = file.budgets || {};
+    for (const [key, value] of Object.entries(budgets)) {
+      if (!BUDGET_KEYS.includes(key) || typeof value !== "number" || value < 0) {
+        throw new Error(
+          `Invalid config ${filePath}: budgets take ${BUDGET_KEYS.join(" and ")} as amounts in USD`
+        );
+      }
+    }
+    Object.assign(config.usage.budgets, budgets);
+    Object.assign(config.usage.prices, file.prices);
+    if (file.ledger) {
+      config.usage.ledger = path.resolve(path.dirname(filePath), file.ledger);
+    }
+    // false turns the audit log off, like IMAGE_MCP_AUDIT_LOG=off
+    if (file.audit_log !== undefined) {
+      if (file.audit_log !== false && typeof file.audit_log !== "string") {
+        throw new Error(`Invalid config ${filePath}: audit_log must be a file path or false`);
+      }
+      config.audit.path =
+        file.audit_log && path.resolve(path.dirname(filePath), file.audit_log);
+    }
+
+    for (const [key, value] of Object.entries(file.retry || {})) {
+      if (!RETRY_KEYS.includes(key) || !Number.isInteger(value) || value < 0) {
+        throw new Error(
+          `Invalid config ${filePath}: retry takes ${RETRY_KEYS.join(", ")} as whole numbers`
+        );
+      }
+      config.retry[key] = value;
+    }
+
+    // Local servers merge per provider, so a project can swap the workflow
+    // and keep the user's URL
+    for (const [id, settings] of Object.entries(file.local || {})) {
+      if (!LOCAL_PROVIDERS.includes(id)) {
+        throw new Error(
+          `Invalid config ${filePath}: local takes ${LOCAL_PROVIDERS.join(" and ")}, not ${id}`
+        );
+      }
+      const unknown = Object.keys(settings || {}).filter((key) => !LOCAL_KEYS.includes(key));
+      if (unknown.length) {
+        throw new Error(
+          `Invalid config ${filePath}: unknown local.${id} option(s) ${unknown.join(", ")}`
+        );
+      }
+      config.local[id] = { ...config.local[id], ...settings };
+      if (settings.workflow) {
+        config.local[id].workflow = path.resolve(path.dirname(filePath), settings.workflow);
+      }
+    }
+
+    const mock = file.mock || {};
+    const unknownMock = Object.keys(mock).filter((key) => !MOCK_KEYS.includes(key));
+    if (unknownMock.length) {
+      throw new Error(
+        `Invalid config ${filePath}: unknown mock option(s) ${unknownMock.join(", ")}`
+      );
+    }
+    if (mock.fail !== undefined && !MOCK_FAILURES.includes(mock.fail)) {
+      throw new Error(
+        `Invalid config ${filePath}: mock.fail must be one of ${MOCK_FAILURES.join(", ")}`
+      );
+    }
+    Object.assign(config.mock, mock);
+
+    const vision = file.vision || {};
+    const unknownVision = Object.keys(vision).filter((key) => !VISION_KEYS.includes(key));
+    if (unknownVision.length) {
+      throw new Error(
+        `Invalid config ${filePath}: unknown vision option(s) ${unknownVision.join(", ")}`
+      );
+    }
+    Object.assign(config.vision, vision);
+
+    // Both files' prompt directories load, the project's last so it wins
+    if (file.prompts_dir !== undefined) {
+      if (typeof file.prompts_dir !== "string") {
+        throw new Error(`Invalid config ${filePath}: prompts_dir must be a directory`);
+      }
+      config.promptDirs.push(path.resolve(path.dirname(filePath), file.prompts_dir));
+    }
+
+    // A project's fallback list replaces the user's rather than adding to it
+    if (file.fallbacks !== undefined) {
+      if (
+        !Array.isArray(file.fallbacks) ||
+        file.fallbacks.some((fallback) => typeof fallback?.provider !== "string")
+      ) {
+        throw new Error(
+          `Invalid config ${filePath}: fallbacks must be a list of { provider, model } objects`
+        );
+      }
+      config.fallbacks = file.fallbacks.map(({ provider, model }) => ({ provider, model }));
+    }
+
+    Object.assign(config.defaults, pick(file.defaults || {}, DEFAULT_KEYS, filePath, "defaults"));
+
+    for (const [name, preset] of Object.entries(file.presets || {})) {
+      if (!PRESET_NAME.test(name)) {
+        throw new Error(
+          `Invalid config ${filePath}: preset name "${name}" must be lowercase letters, digits, _ or -`
+        );
+      }
+      if (preset === false || preset === null) {
+        delete config.presets[name];
+        continue;
+      }
+      config.presets[name] = pick(preset, PRESET_KEYS, filePath, `preset ${name}`);
+    }
+  }
+
+  return config;
+}
+
+// Fills missing arguments from config defaults; `format` becomes an optimize
+// step unless the caller asked for one explicitly
+export function withDefaults(args, ...layers) {
+  const { format, ...defaults } = Object.assign(
+    {},
+    ...layers.map(({ description, ...layer }) => layer)
+  );
+  if (args.aspect_ratio) delete defaults.size;
+  const merged = { ...defaults, ...args };
+  if (merged.optimize === undefined && format && format !== "png") {
+    merged.optimize = { format };
+  }
+  return merged;
+}
+
+// Arguments for a preset tool: the preset's size and aspect ratio always win,
+// everything else is a default the caller may override
+export function presetArguments(preset, args, defaults = {}) {
+  const { size, aspect_ratio, ...rest } = preset;
+  const merged = withDefaults(args, defaults, rest);
+  delete merged.size;
+  delete merged.aspect_ratio;
+  return {
+    ...merged,
+    ...(size && { size }),
+    ...(aspect_ratio && { aspect_ratio }),
+  };
+}
@@ -0,0 +1,125 @@
+import sharp from "sharp";
+import { apiError, readJson } from "./edits.mjs";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_VISION_MODEL = "gpt-4o-mini";
+
+// Longest side sent to the vision model; captions don't need more detail
+const MAX_VISION_SIDE = 1024;
+
+export const ALT_TEXT_PROPERTY = {
+  type: "boolean",
+  description:
+    "Caption each saved image and attach alt text to the result, using the vision endpoint (see describe_image)",
+  default: false,
+};
+
+// Where captions come from: any OpenAI-compatible chat completions endpoint
+// that accepts images, such as OpenAI itself, Ollama, LM Studio or vLLM.
+// Environment variables win over the config file's "vision" section.
+export function visionSettings(config = {}) {
+  const baseUrl = process.env.IMAGE_MCP_VISION_URL || config.base_url || OPENAI_BASE_URL;
+  const keyEnv =
+    config.api_key_env || (baseUrl === OPENAI_BASE_URL ? "OPENAI_API_KEY" : undefined);
+  return {
+    baseUrl,
+    model: process.env.IMAGE_MCP_VISION_MODEL || config.model || DEFAULT_VISION_MODEL,
+    apiKey: process.env.IMAGE_MCP_VISION_API_KEY || (keyEnv && process.env[keyEnv]),
+    keyEnv: process.env.IMAGE_MCP_VISION_API_KEY ? "IMAGE_MCP_VISION_API_KEY" : keyEnv,
+    maxTokens: config.max_tokens || 400,
+  };
+}
+
+async function imageDataUri(filePath) {
+  const buffer = await sharp(filePath)
+    .resize({
+      width: MAX_VISION_SIDE,
+      height: MAX_VISION_SIDE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${buffer.toString("base64")}`;
+}
+
+function instructions({ tags, context }) {
+  return [
+    "Describe this image for someone who can't see it. Reply with a JSON object only, with these keys:",
+    '"caption": one or two sentences on what the image shows, its style and notable details;',
+    '"alt_text": alt text for a web page, under 125 characters, without "image of" or "picture of"',
+    tags ? '; "tags": 3 to 10 short lowercase keywords.' : ".",
+    context ? `\nThe image is meant for: ${context}` : "",
+  ].join("");
+}
+
+// Models don't always honour "JSON only", so take the outermost object from
+// whatever came back, code fences and all
+function parseDescription(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    parsed = null;
+  }
+  if (typeof parsed?.caption !== "string" || typeof parsed?.alt_text !== "string") {
+    throw new Error(`The vision model did not return a description: ${text.slice(0, 200)}`);
+  }
+  return parsed;
+}
+
+// Asks the vision endpoint for a caption, alt text and optionally tags
+export async function describeImage(filePath, { settings, tags = false, context, signal }) {
+  const response = await fetch(`${settings.baseUrl.replace(/\/$/, "")}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(settings.apiKey && { Authorization: `Bearer ${settings.apiKey}` }),
+    },
+    body: JSON.stringify({
+      model: settings.model,
+      max_tokens: settings.maxTokens,
+      temperature: 0.2,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: instructions({ tags, context }) },
+            { type: "image_url", image_url: { url: await imageDataUri(filePath) } },
+          ],
+        },
+      ],
+    }),
+    signal,
+  });
+  const body = await readJson(response);
+  if (!response.ok) {
+    throw apiError("Vision", response, body);
+  }
+
+  const description = parseDescription(body.choices?.[0]?.message?.content || "");
+  return {
+    path: filePath,
+    caption: description.caption.trim(),
+    alt_text: description.alt_text.trim(),
+    ...(tags && {
+      tags: Array.isArray(description.tags) ? description.tags.map(String) : [],
+    }),
+    model: body.model || settings.model,
+  };
+}
+
+export const DESCRIBE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    path: { type: "string" },
+    caption: { type: "string" },
+    alt_text: { type: "string", description: "Short alt text for markup" },
+    tags: { type: "array", items: { type: "string" } },
+    model: { type: "string", description: "Vision model that wrote the description" },
+  },
+  required: ["path", "caption", "alt_text"],
+};
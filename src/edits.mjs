@@ -0,0 +1,200 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { mimeTypeFor } from "./results.mjs";
+
+const OPENAI_EDITS_URL = "https://api.openai.com/v1/images/edits";
+const REPLICATE_API_URL = "https://api.replicate.com/v1";
+const REPLICATE_POLL_INTERVAL = 2000;
+
+async function fileBlob(filePath, buffer) {
+  const data = buffer || (await fs.readFile(filePath));
+  return new Blob([data], { type: buffer ? "image/png" : mimeTypeFor(filePath) });
+}
+
+async function dataUri(filePath) {
+  const data = await fs.readFile(filePath);
+  return `data:${mimeTypeFor(filePath)};base64,${data.toString("base64")}`;
+}
+
+// OpenAI edits where the mask is transparent. Masks without an alpha channel
+// are treated as black/white, white marking the area to change, and converted.
+// The mask is also scaled to the source image, which OpenAI requires.
+export async function toAlphaMask(maskPath, sourcePath) {
+  const { width, height } = await sharp(sourcePath).metadata();
+  const mask = sharp(maskPath).resize({ width, height, fit: "fill" });
+  const { hasAlpha } = await sharp(maskPath).metadata();
+  if (hasAlpha) {
+    return mask.png().toBuffer();
+  }
+  const alpha = await mask.clone().greyscale().negate().raw().toBuffer();
+  return sharp({
+    create: { width, height, channels: 3, background: "#000000" },
+  })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+}
+
+// Replicate's fill models expect the opposite: white marks the area to change
+export async function toWhiteMask(maskPath) {
+  const { hasAlpha } = await sharp(maskPath).metadata();
+  if (!hasAlpha) return maskPath;
+  const alpha = await sharp(maskPath).extractChannel("alpha").negate().png().toBuffer();
+  return `data:image/png;base64,${alpha.toString("base64")}`;
+}
+
+export async function readJson(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { error: { message: text } };
+  }
+}
+
+export function apiError(provider, response, body) {
+  const message =
+    body?.error?.message || body?.detail || body?.error || response.statusText;
+  const error = new Error(`${provider} API error (${response.status}): ${message}`);
+  error.status = response.status;
+  const retryAfter = parseFloat(response.headers.get("retry-after"));
+  if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+  return error;
+}
+
+export async function openaiEdit({
+  apiKey,
+  model,
+  prompt,
+  image,
+  mask,
+  references = [],
+  size,
+  quality,
+  n = 1,
+  signal,
+}) {
+  const form = new FormData();
+  form.append("model", model);
+  form.append("prompt", prompt);
+  form.append("n", String(n));
+  if (size) form.append("size", size);
+  if (quality) form.append("quality", quality);
+
+  // The source goes first so the mask applies to it; references follow
+  for (const filePath of [image, ...references]) {
+    form.append("image[]", await fileBlob(filePath), path.basename(filePath));
+  }
+  if (mask) {
+    form.append("mask", await fileBlob(mask, await toAlphaMask(mask, image)), "mask.png");
+  }
+
+  const response = await fetch(OPENAI_EDITS_URL, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: form,
+    signal,
+  });
+  const body = await readJson(response);
+  if (!response.ok) {
+    throw apiError("OpenAI", response, body);
+  }
+  return body.data.map((item) => Buffer.from(item.b64_json, "base64"));
+}
+
+async function waitForPrediction(prediction, { apiKey, signal }) {
+  let current = prediction;
+  while (["starting", "processing"].includes(current.status)) {
+    await new Promise((resolve) => setTimeout(resolve, REPLICATE_POLL_INTERVAL));
+    const response = await fetch(current.urls.get, {
+      headers: { Authorization: `Bearer ${apiKey}` },
+      signal,
+    });
+    current = await readJson(response);
+    if (!response.ok) {
+      throw apiError("Replicate", response, current);
+    }
+  }
+  if (current.status !== "succeeded") {
+    throw new Error(`Replicate prediction ${current.status}: ${current.error || "no output"}`);
+  }
+  return current;
+}
+
+// Runs a Replicate model and downloads its output images
+export async function runReplicate({ apiKey, model, input, signal }) {
+  const response = await fetch(`${REPLICATE_API_URL}/models/${model}/predictions`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+      Prefer: "wait",
+    },
+    body: JSON.stringify({ input }),
+    signal,
+  });
+  const prediction = await readJson(response);
+  if (!response.ok) {
+    throw apiError("Replicate", response, prediction);
+  }
+
+  const finished = await waitForPrediction(prediction, { apiKey, signal });
+  const urls = [].concat(finished.output).filter(Boolean);
+  return Promise.all(
+    urls.map(async (url) => {
+      const download = await fetch(url, { signal });
+      if (!download.ok) {
+        throw new Error(`Failed to download Replicate output: ${download.status}`);
+      }
+      return Buffer.from(await download.arrayBuffer());
+    })
+  );
+}
+
+export async function replicateEdit({
+  apiKey,
+  model,
+  prompt,
+  image,
+  mask,
+  signal,
+}) {
+  const input = mask
+    ? {
+        prompt,
+        image: await dataUri(image),
+        mask: await maskInput(mask),
+        output_format: "png",
+      }
+    : {
+        prompt,
+        input_image: await dataUri(image),
+        aspect_ratio: "match_input_image",
+        output_format: "png",
+      };
+  return runReplicate({ apiKey, model, input, signal });
+}
+
+async function maskInput(mask) {
+  const white = await toWhiteMask(mask);
+  return white === mask ? dataUri(mask) : white;
+}
+
+// Writes edit results to disk as <name>.png, <name>-2.png, ...
+export async function saveImages(buffers, { outputDir, output, prefix = "edit" }) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const base = output
+    ? path.parse(output).name
+    : `${prefix}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  const paths = [];
+  for (const [index, buffer] of buffers.entries()) {
+    const filePath = path.join(
+      outputDir,
+      `${base}${index === 0 ? "" : `-${index + 1}`}.png`
+    );
+    await sharp(buffer).png().toFile(filePath);
+    paths.push(filePath);
+  }
+  return paths;
+}
@@ -0,0 +1,101 @@
+import { CancelledError } from "./progress.mjs";
+
+// Clients may show the request to the user before running it
+const SAMPLING_TIMEOUT = 120000;
+
+export const ENHANCE_PROMPT_PROPERTY = {
+  type: "boolean",
+  description:
+    "Expand the prompt into a detailed image prompt (composition, lighting, style, what to avoid) with the client's model before generating. Falls back to the prompt as written when the client doesn't support sampling",
+  default: false,
+};
+
+function instructions({ styled, size, aspect_ratio }) {
+  return [
+    "You turn short requests into detailed prompts for an image generation model.",
+    "Describe the subject, composition and framing, lighting, medium or style, and color, then finish with what to avoid (for example text, watermarks, extra limbs).",
+    "Keep everything the request asks for and don't invent text to render in the image.",
+    styled
+      ? "A style guide is added afterwards, so leave out medium, style and palette choices."
+      : "",
+    size || aspect_ratio ? `The image will be ${size || aspect_ratio}.` : "",
+    "Reply with the prompt only: one paragraph under 120 words, no preamble or quotes.",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Models like to wrap the answer in quotes or label it
+function cleanRefinement(text) {
+  return text
+    .trim()
+    .replace(/^```\w*\s*|\s*```$/g, "")
+    .replace(/^(refined |image )?prompt:\s*/i, "")
+    .replace(/^["'“](.*)["'”]$/s, "$1")
+    .trim();
+}
+
+// Asks the client's model to rewrite the prompt. Never throws for a refusal
+// or a client without sampling: the result says why the prompt is unchanged.
+export async function refinePrompt(
+  server,
+  prompt,
+  { style, size, aspect_ratio, context, signal } = {}
+) {
+  const unchanged = (note) => ({ original: prompt, refined: prompt, enhanced: false, note });
+
+  if (!server.getClientCapabilities()?.sampling) {
+    return unchanged("The client doesn't support sampling, so the prompt was used as written");
+  }
+  try {
+    const response = await server.createMessage(
+      {
+        systemPrompt: instructions({ styled: Boolean(style), size, aspect_ratio }),
+        messages: [
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text: context ? `${prompt}\n\nIt is meant for: ${context}` : prompt,
+            },
+          },
+        ],
+        maxTokens: 400,
+        temperature: 0.7,
+        // A small, fast model is plenty for rewriting a paragraph
+        modelPreferences: { costPriority: 0.7, speedPriority: 0.7, intelligencePriority: 0.4 },
+      },
+      { signal, timeout: SAMPLING_TIMEOUT }
+    );
+    const refined =
+      response.content?.type === "text" ? cleanRefinement(response.content.text) : "";
+    if (!refined) {
+      return unchanged("The client's model returned no prompt, so it was used as written");
+    }
+    return {
+      original: prompt,
+      refined,
+      enhanced: true,
+      ...(response.model && { model: response.model }),
+    };
+  } catch (error) {
+    if (signal?.aborted) throw new CancelledError("Prompt refinement was cancelled");
+    return unchanged(`Could not refine the prompt (${error.message}), so it was used as written`);
+  }
+}
+
+export const REFINE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    original: { type: "string" },
+    refined: { type: "string", description: "The rewritten prompt, or the original when enhanced is false" },
+    enhanced: { type: "boolean" },
+    model: { type: "string", description: "Model the client used for the rewrite" },
+    note: { type: "string", description: "Why the prompt was left unchanged" },
+    styled: {
+      type: "string",
+      description: "The refined prompt with the style guide applied, as a generation tool would send it",
+    },
+  },
+  required: ["original", "refined", "enhanced"],
+};
@@ -0,0 +1,198 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { abortable, CancelledError } from "./progress.mjs";
+
+const ENV_RETRIES = parseInt(process.env.IMAGE_MCP_RETRIES);
+
+export const DEFAULT_RETRY = {
+  retries: ENV_RETRIES >= 0 ? ENV_RETRIES : 2,
+  base_delay_ms: 1000,
+  max_delay_ms: 20000,
+};
+
+// Provider failures by what the caller should do about them. Codes sit in the
+// JSON-RPC server error range; data.kind carries the same information for
+// clients that prefer names.
+export const ERROR_KINDS = {
+  content_policy: {
+    code: -32010,
+    label: "Rejected by the provider's content policy",
+    hint: "Rephrase the prompt or use a different image; retrying the same request will fail again.",
+  },
+  rate_limit: {
+    code: -32011,
+    retryable: true,
+    label: "Rate limited by the provider",
+    hint: "Try again later, or lower IMAGE_MCP_CONCURRENCY.",
+  },
+  quota: {
+    code: -32012,
+    label: "The provider account is out of credit or over its spending limit",
+    hint: "Check billing with the provider; retrying won't help until it is fixed.",
+  },
+  auth: {
+    code: -32013,
+    label: "The provider rejected the API key",
+    hint: "Check the key in the server environment (run diagnose) and that it has access to this model.",
+  },
+  invalid_params: {
+    code: ErrorCode.InvalidParams,
+    label: "The provider rejected the request parameters",
+    hint: "Check the size, quality and model against list_models.",
+  },
+  transient: {
+    code: -32014,
+    retryable: true,
+    label: "Temporary network or provider error",
+    hint: "Try again in a moment.",
+  },
+  // The server's own time limit, not a provider hiccup: retrying would hold
+  // the generation slot for the whole limit again
+  timeout: {
+    code: -32015,
+    label: "The generation ran past the server's time limit",
+    hint: "Try a faster model or lower quality, raise the limit, or run it as a background job.",
+  },
+  unknown: {
+    code: ErrorCode.InternalError,
+    label: "Image generation failed",
+    hint: "Run diagnose to check the setup.",
+  },
+};
+
+const NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+];
+
+const CONTENT_POLICY = /content[ _-]?policy|safety system|moderation|flagged|nsfw|not allowed by our safety/i;
+
+// Checked in order against the message when there is no HTTP status, as with
+// errors from the ai-image library and CLI output
+const MESSAGE_PATTERNS = [
+  ["content_policy", CONTENT_POLICY],
+  ["quota", /insufficient[ _]quota|billing|exceeded your current quota|out of credit|payment required/i],
+  ["rate_limit", /rate[ _-]?limit|too many requests|\b429\b/i],
+  ["auth", /invalid api key|incorrect api key|unauthori[sz]ed|authentication|permission denied|\b40[13]\b/i],
+  ["transient", /timed? ?out|timeout|socket hang up|fetch failed|network|econnreset|temporarily unavailable|overloaded|bad gateway|\b50[0234]\b/i],
+  ["invalid_params", /invalid|unsupported|must be|not supported|\b4(00|04|22)\b/i],
+];
+
+function kindForStatus(status, message) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 402) return "quota";
+  if (status === 429) {
+    return /quota|billing|credit/i.test(message) ? "quota" : "rate_limit";
+  }
+  if (status === 408 || status >= 500) return "transient";
+  if (status >= 400) {
+    return CONTENT_POLICY.test(message) ? "content_policy" : "invalid_params";
+  }
+  return null;
+}
+
+export class ProviderError extends Error {
+  constructor(kind, message, { provider, model, status, retryAfter } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.kind = kind;
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return Boolean(ERROR_KINDS[this.kind].retryable);
+  }
+}
+
+// Sorts any provider, library or CLI failure into one of ERROR_KINDS. MCP
+// errors are already classified and pass through unchanged.
+export function classifyError(error, { provider, model } = {}) {
+  if (
+    error instanceof ProviderError ||
+    error instanceof CancelledError ||
+    error instanceof McpError
+  ) {
+    return error;
+  }
+  const message = error?.message || String(error);
+  const causeCode = error?.code || error?.cause?.code;
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+
+  let kind = status ? kindForStatus(status, message) : null;
+  if (!kind && NETWORK_CODES.includes(causeCode)) kind = "transient";
+  if (!kind) {
+    kind = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message))?.[0] || "unknown";
+  }
+  return new ProviderError(kind, message, {
+    provider,
+    model,
+    status,
+    retryAfter: error?.retryAfter,
+  });
+}
+
+export function toMcpError(error, { attempts } = {}) {
+  if (error instanceof McpError || error instanceof CancelledError) return error;
+  const failure = error instanceof ProviderError ? error : classifyError(error);
+  const { code, label, hint, retryable = false } = ERROR_KINDS[failure.kind];
+  const source = failure.provider ? ` (${failure.provider})` : "";
+  // Provider messages often end in their own period
+  const message = failure.message.trim().replace(/[.!?:;,\s]+$/, "");
+  return new McpError(code, `${label}${source}: ${message}. ${hint}`, {
+    kind: failure.kind,
+    retryable,
+    ...(failure.provider && { provider: failure.provider }),
+    ...(failure.model && { model: failure.model }),
+    ...(failure.status && { status: failure.status }),
+    ...(failure.retryAfter && { retry_after: failure.retryAfter }),
+    ...(attempts && { attempts }),
+  });
+}
+
+// Whether an MCP error from a generation is worth sending to a fallback model
+export function canFailOver(error) {
+  return error instanceof McpError && Boolean(error.data?.retryable);
+}
+
+// Runs a provider call, retrying rate limits and transient failures with
+// exponential backoff and jitter, or the provider's Retry-After when given.
+// Whatever finally fails is thrown as a classified McpError.
+export async function withRetries(
+  run,
+  { retries, base_delay_ms, max_delay_ms, provider, model, signal, onRetry } = {}
+) {
+  const options = { ...DEFAULT_RETRY };
+  for (const [key, value] of Object.entries({ retries, base_delay_ms, max_delay_ms })) {
+    if (value !== undefined) options[key] = value;
+  }
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      const failure = classifyError(error, { provider, model });
+      if (failure instanceof CancelledError || signal?.aborted) {
+        throw failure instanceof CancelledError ? failure : new CancelledError();
+      }
+      if (!failure.retryable || attempt > options.retries) {
+        throw toMcpError(failure, { attempts: attempt });
+      }
+      const backoff = options.base_delay_ms * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      const delay = Math.min(
+        options.max_delay_ms,
+        failure.retryAfter ? failure.retryAfter * 1000 : backoff
+      );
+      await onRetry?.({ attempt, delay, failure });
+      await abortable(new Promise((resolve) => setTimeout(resolve, delay)), signal);
+    }
+  }
+}
@@ -0,0 +1,122 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { mimeTypeFor } from "./results.mjs";
+
+export const HISTORY_URI_PREFIX = "image-mcp://history/";
+
+export const HISTORY_URI_TEMPLATE = `${HISTORY_URI_PREFIX}{id}`;
+
+// Oldest entries are dropped past this many images
+const MAX_HISTORY_ENTRIES = 500;
+
+// Images generated during this server's lifetime, exposed as MCP resources so
+// agents can find and reuse earlier outputs
+export class ImageHistory {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Records every path of a tool result; returns the new entries
+  record(tool, args, structuredContent) {
+    const added = [];
+    for (const filePath of structuredContent?.paths || []) {
+      const entry = {
+        id: randomUUID(),
+        path: filePath,
+        tool,
+        ...(args.prompt && { prompt: args.prompt }),
+        ...(structuredContent.provider && { provider: structuredContent.provider }),
+        ...(structuredContent.model && { model: structuredContent.model }),
+        ...(structuredContent.size && { size: structuredContent.size }),
+        ...(structuredContent.quality && { quality: structuredContent.quality }),
+        created_at: new Date().toISOString(),
+      };
+      this.entries.set(entry.id, entry);
+      added.push(entry);
+    }
+
+    const overflow = this.entries.size - MAX_HISTORY_ENTRIES;
+    for (const id of [...this.entries.keys()].slice(0, Math.max(0, overflow))) {
+      this.entries.delete(id);
+    }
+    return added;
+  }
+
+  uriFor(entry) {
+    return `${HISTORY_URI_PREFIX}${entry.id}`;
+  }
+
+  // Newest first, skipping files that were deleted or moved since
+  async list() {
+    const entries = [...this.entries.values()].reverse();
+    const present = await Promise.all(
+      entries.map((entry) =>
+        fs.access(entry.path).then(
+          () => true,
+          () => false
+        )
+      )
+    );
+    return entries.filter((_, index) => present[index]);
+  }
+
+  toResource(entry) {
+    return {
+      uri: this.uriFor(entry),
+      name: path.basename(entry.path),
+      mimeType: mimeTypeFor(entry.path),
+      description: [
+        entry.prompt && `Prompt: ${entry.prompt}`,
+        [entry.provider, entry.model, entry.size, entry.quality]
+          .filter(Boolean)
+          .join(", "),
+        `Saved to ${entry.path} at ${entry.created_at}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      _meta: entry,
+    };
+  }
+
+  // Accepts history URIs and file:// URIs of generated images
+  find(uri) {
+    if (uri.startsWith(HISTORY_URI_PREFIX)) {
+      return this.entries.get(uri.slice(HISTORY_URI_PREFIX.length));
+    }
+    if (uri.startsWith("file://")) {
+      const filePath = fileURLToPath(uri);
+      return [...this.entries.values()]
+        .reverse()
+        .find((entry) => entry.path === filePath);
+    }
+    return undefined;
+  }
+
+  async read(uri) {
+    const entry = this.find(uri);
+    if (!entry) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+    let data;
+    try {
+      data = await fs.readFile(entry.path);
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Image for ${uri} is no longer available: ${error.message}`
+      );
+    }
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: mimeTypeFor(entry.path),
+          blob: data.toString("base64"),
+        },
+      ],
+    };
+  }
+}
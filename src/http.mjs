@@ -0,0 +1,244 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "./logging.mjs";
+import { mimeTypeFor } from "./results.mjs";
+
+export const DEFAULT_HTTP_HOST = "127.0.0.1";
+export const DEFAULT_HTTP_PORT = 3333;
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+const WILDCARD_HOSTS = ["0.0.0.0", "::"];
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function tokensMatch(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received || "");
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match?.[1];
+}
+
+function hostHeader(host, port) {
+  return `${host.includes(":") ? `[${host}]` : host}:${port}`;
+}
+
+// Host headers the server answers to, against DNS rebinding: a page on
+// another site that re-points its name at this address still sends its own
+// name. A wildcard bind has no name to check without publicUrl; it always
+// requires a token instead.
+function allowedHostHeaders({ host, port, publicUrl }) {
+  const hosts = new Set();
+  if (LOOPBACK_HOSTS.includes(host)) {
+    for (const alias of LOOPBACK_HOSTS) hosts.add(hostHeader(alias, port));
+  } else if (!WILDCARD_HOSTS.includes(host)) {
+    hosts.add(hostHeader(host, port));
+  }
+  if (publicUrl) hosts.add(new URL(publicUrl).host);
+  return hosts;
+}
+
+// Serves MCP over Streamable HTTP. Each MCP session gets its own server
+// instance (jobs, history), created by createSession(); the concurrency limit
+// is shared by whatever createSession closes over. Generated images are
+// served from /images/<history id>/<filename> for clients on other machines.
+// A session with no request in flight and no unfinished job is closed after
+// idleTimeout, since clients that go away seldom send DELETE.
+export function startHttpServer({
+  createSession,
+  host = DEFAULT_HTTP_HOST,
+  port = DEFAULT_HTTP_PORT,
+  token,
+  publicUrl,
+  version,
+  idleTimeout = DEFAULT_SESSION_IDLE_MS,
+}) {
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(
+      `Refusing to listen on ${host} without a token: set IMAGE_MCP_HTTP_TOKEN or pass --token`
+    );
+  }
+
+  const baseUrl = (publicUrl || `http://${host.includes(":") ? `[${host}]` : host}:${port}`).replace(/\/$/, "");
+  const sessions = new Map();
+  const allowedHosts = allowedHostHeaders({ host, port, publicUrl });
+
+  const authorized = (req) => !token || tokensMatch(token, bearerToken(req));
+  const knownHost = (req) =>
+    !allowedHosts.size || allowedHosts.has((req.headers.host || "").toLowerCase());
+
+  async function handleMcp(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    let session = sessionId && sessions.get(sessionId);
+
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (error) {
+        sendRpcError(res, 400, `Invalid JSON body: ${error.message}`);
+        return;
+      }
+    }
+
+    if (!session) {
+      if (sessionId || req.method !== "POST" || !isInitializeRequest(body)) {
+        sendRpcError(
+          res,
+          sessionId ? 404 : 400,
+          sessionId ? "Unknown or expired session" : "No session: send an initialize request first"
+        );
+        return;
+      }
+
+      const server = createSession({ imageBaseUrl: `${baseUrl}/images` });
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, session);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) sessions.delete(transport.sessionId);
+      };
+      await server.server.connect(transport);
+      session = { server, transport, open: 0, lastSeen: Date.now() };
+    }
+
+    // Counted until the response ends, so a long-lived event stream keeps
+    // its session
+    session.open++;
+    res.once("close", () => {
+      session.open--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  function closeIdleSessions() {
+    const cutoff = Date.now() - idleTimeout;
+    for (const [id, session] of sessions) {
+      const busy =
+        session.open > 0 ||
+        session.server.jobs.list().some((job) => ["queued", "running"].includes(job.state));
+      if (busy || session.lastSeen > cutoff) continue;
+      sessions.delete(id);
+      log("info", `Closing MCP session ${id} after ${Math.round(idleTimeout / 1000)}s idle`);
+      session.server.server.close().catch((error) => {
+        log("warning", `Could not close session ${id}: ${error.message}`);
+      });
+    }
+  }
+
+  function handleImage(req, res, id) {
+    for (const { server } of sessions.values()) {
+      const entry = server.history.entries.get(id);
+      if (!entry) continue;
+      const stream = fs.createReadStream(entry.path);
+      stream.on("open", () => {
+        res.writeHead(200, {
+          "Content-Type": mimeTypeFor(entry.path),
+          "Content-Disposition": `inline; filename="${path.basename(entry.path)}"`,
+          "Cache-Control": "private, max-age=3600",
+        });
+        stream.pipe(res);
+      });
+      stream.on("error", () => sendJson(res, 404, { error: "Image file is gone" }));
+      return;
+    }
+    sendJson(res, 404, { error: "Unknown image" });
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (url.pathname === "/health" && req.method === "GET") {
+        sendJson(res, 200, { status: "ok", version, sessions: sessions.size });
+        return;
+      }
+
+      if (!knownHost(req)) {
+        sendJson(res, 403, { error: `Unknown Host header: ${req.headers.host || "(none)"}` });
+        return;
+      }
+
+      if (!authorized(req)) {
+        sendJson(res, 401, { error: "Unauthorized" }, { "WWW-Authenticate": "Bearer" });
+        return;
+      }
+
+      if (url.pathname === "/mcp") {
+        await handleMcp(req, res);
+        return;
+      }
+
+      const image = /^\/images\/([\w-]+)(?:\/[^/]*)?$/.exec(url.pathname);
+      if (image && req.method === "GET") {
+        handleImage(req, res, image[1]);
+        return;
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      log("error", `HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, "Internal server error");
+      }
+    }
+  });
+
+  const sweep = setInterval(closeIdleSessions, Math.min(idleTimeout, 60 * 1000));
+  sweep.unref();
+  httpServer.on("close", () => clearInterval(sweep));
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      log(
+        "info",
+        `AI Image Generator MCP server listening on ${baseUrl}/mcp${token ? " (token required)" : ""}`
+      );
+      resolve({ httpServer, sessions, baseUrl });
+    });
+  });
+}
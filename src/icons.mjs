@@ -0,0 +1,235 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+// Sizes packed into favicon.ico; browsers pick the closest one
+const ICO_SIZES = [16, 32, 48];
+
+// Launchers crop maskable icons to shapes as small as a circle 80% of the
+// icon's width, so the artwork is scaled into that and padded with the background
+const MASKABLE_SAFE_ZONE = 0.8;
+
+// Largest side kept from the source; the biggest icon is 512px
+const SOURCE_SIDE = 1024;
+
+// opaque: iOS shows transparency as black, so these get the background
+export const ICON_FILES = [
+  { name: "favicon-16x16.png", size: 16 },
+  { name: "favicon-32x32.png", size: 32 },
+  { name: "apple-touch-icon.png", size: 180, opaque: true },
+  { name: "android-chrome-192x192.png", size: 192, purpose: "any" },
+  { name: "android-chrome-512x512.png", size: 512, purpose: "any" },
+  { name: "maskable-192x192.png", size: 192, purpose: "maskable", opaque: true },
+  { name: "maskable-512x512.png", size: 512, purpose: "maskable", opaque: true },
+];
+
+export const FAVICON_NAME = "favicon.ico";
+export const MANIFEST_NAME = "site.webmanifest";
+export const SNIPPET_NAME = "icons.html";
+
+// Every file name a set writes, so the handler can check them up front
+export const ICON_SET_FILES = [
+  FAVICON_NAME,
+  ...ICON_FILES.map((icon) => icon.name),
+  MANIFEST_NAME,
+  SNIPPET_NAME,
+];
+
+function toHex(channels) {
+  return `#${channels.map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+}
+
+export function parseColor(color, label) {
+  if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+    throw new McpError(ErrorCode.InvalidParams, `${label} must be a hex color such as #1e293b`);
+  }
+  return color.length === 4
+    ? `#${[...color.slice(1)].map((digit) => digit + digit).join("")}`.toLowerCase()
+    : color.toLowerCase();
+}
+
+// The top-left pixel, so padding blends into artwork that runs to the edge.
+// Transparent corners mean a logo on nothing, which gets white.
+async function cornerColor(source) {
+  const { data } = await sharp(source)
+    .extract({ left: 0, top: 0, width: 1, height: 1 })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return data[3] < 128 ? "#ffffff" : toHex([...data.subarray(0, 3)]);
+}
+
+// Fits the image into a square without cropping it
+async function squareSource(input) {
+  const { width, height } = await sharp(input).metadata();
+  const side = Math.min(SOURCE_SIDE, Math.max(width, height));
+  return await sharp(input)
+    .resize(side, side, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+async function renderIcon(source, { size, purpose, opaque }, background) {
+  const inner = purpose === "maskable" ? Math.round(size * MASKABLE_SAFE_ZONE) : size;
+  let buffer = await sharp(source).resize(inner, inner, { kernel: "lanczos3" }).png().toBuffer();
+  if (inner !== size) {
+    const pad = (size - inner) / 2;
+    buffer = await sharp(buffer)
+      .extend({
+        top: Math.floor(pad),
+        bottom: Math.ceil(pad),
+        left: Math.floor(pad),
+        right: Math.ceil(pad),
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+      })
+      .png()
+      .toBuffer();
+  }
+  // flatten runs before extend in a single sharp pipeline, hence the steps
+  const image = opaque ? sharp(buffer).flatten({ background }) : sharp(buffer);
+  return await image.png({ compressionLevel: 9 }).toBuffer();
+}
+
+// ICO with PNG entries, which every current browser reads: a 6-byte header,
+// a 16-byte directory entry per image, then the PNGs themselves
+export function encodeIco(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length + images.length * 16;
+  const entries = images.map(({ size, data }) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0);
+    entry.writeUInt8(size >= 256 ? 0 : size, 1);
+    entry.writeUInt8(0, 2); // no palette
+    entry.writeUInt8(0, 3);
+    entry.writeUInt16LE(1, 4); // color planes
+    entry.writeUInt16LE(32, 6); // bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += data.length;
+    return entry;
+  });
+  return Buffer.concat([header, ...entries, ...images.map((image) => image.data)]);
+}
+
+export function buildManifest({ name, shortName, basePath, themeColor, backgroundColor }) {
+  return {
+    name,
+    short_name: shortName,
+    icons: ICON_FILES.filter((icon) => icon.purpose).map((icon) => ({
+      src: `${basePath}${icon.name}`,
+      sizes: `${icon.size}x${icon.size}`,
+      type: "image/png",
+      purpose: icon.purpose,
+    })),
+    theme_color: themeColor,
+    background_color: backgroundColor,
+    display: "standalone",
+  };
+}
+
+export function buildSnippet({ basePath, themeColor }) {
+  return [
+    `<link rel="icon" href="${basePath}${FAVICON_NAME}" sizes="${ICO_SIZES.map((size) => `${size}x${size}`).join(" ")}">`,
+    `<link rel="icon" type="image/png" sizes="32x32" href="${basePath}favicon-32x32.png">`,
+    `<link rel="icon" type="image/png" sizes="16x16" href="${basePath}favicon-16x16.png">`,
+    `<link rel="apple-touch-icon" sizes="180x180" href="${basePath}apple-touch-icon.png">`,
+    `<link rel="manifest" href="${basePath}${MANIFEST_NAME}">`,
+    `<meta name="theme-color" content="${themeColor}">`,
+  ].join("\n");
+}
+
+// Writes favicon.ico, the PNG icons, site.webmanifest and an HTML snippet
+// into outputDir. Colors default to the source's corner pixel.
+export async function writeIconSet(
+  input,
+  { outputDir, name, shortName, basePath = "/", backgroundColor, themeColor }
+) {
+  const source = await squareSource(input);
+  const background = backgroundColor
+    ? parseColor(backgroundColor, "background_color")
+    : await cornerColor(source);
+  const theme = themeColor ? parseColor(themeColor, "theme_color") : background;
+  const prefix = basePath.endsWith("/") ? basePath : `${basePath}/`;
+
+  const icons = [];
+  for (const icon of ICON_FILES) {
+    const filePath = path.join(outputDir, icon.name);
+    await fs.writeFile(filePath, await renderIcon(source, icon, background));
+    icons.push({ path: filePath, size: icon.size, ...(icon.purpose && { purpose: icon.purpose }) });
+  }
+
+  const favicon = path.join(outputDir, FAVICON_NAME);
+  const entries = [];
+  for (const size of ICO_SIZES) {
+    entries.push({ size, data: await renderIcon(source, { size }, background) });
+  }
+  await fs.writeFile(favicon, encodeIco(entries));
+
+  const manifest = path.join(outputDir, MANIFEST_NAME);
+  await fs.writeFile(
+    manifest,
+    `${JSON.stringify(
+      buildManifest({
+        name,
+        shortName: shortName || name,
+        basePath: prefix,
+        themeColor: theme,
+        backgroundColor: background,
+      }),
+      null,
+      2
+    )}\n`,
+    "utf8"
+  );
+
+  const html = buildSnippet({ basePath: prefix, themeColor: theme });
+  const snippet = path.join(outputDir, SNIPPET_NAME);
+  await fs.writeFile(snippet, `${html}\n`, "utf8");
+
+  return {
+    paths: [favicon, ...icons.map((icon) => icon.path)],
+    favicon,
+    icons,
+    manifest,
+    snippet,
+    html,
+    background_color: background,
+    theme_color: theme,
+  };
+}
+
+export const ICON_SET_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    paths: {
+      type: "array",
+      items: { type: "string" },
+      description: "favicon.ico and the PNG icons",
+    },
+    favicon: { type: "string", description: `${FAVICON_NAME} with ${ICO_SIZES.join(", ")}px images` },
+    icons: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          size: { type: "number" },
+          purpose: { type: "string", enum: ["any", "maskable"] },
+        },
+      },
+    },
+    manifest: { type: "string", description: `Path of ${MANIFEST_NAME}` },
+    snippet: { type: "string", description: `Path of ${SNIPPET_NAME}, holding the html below` },
+    html: { type: "string", description: "<link> tags for the page's <head>" },
+    source: { type: "string", description: "Image the set was made from" },
+    background_color: { type: "string" },
+    theme_color: { type: "string" },
+    cost: { type: "number" },
+  },
+  required: ["paths", "favicon", "icons", "manifest", "snippet", "html", "source"],
+};
@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { parseAspectRatio } from "./sizes.mjs";
+
+export const OUTPUT_FORMATS = ["webp", "avif", "jpeg", "png"];
+
+export const DEFAULT_RESPONSIVE_WIDTHS = [480, 960, 1920];
+
+const FORMAT_EXTENSIONS = {
+  webp: ".webp",
+  avif: ".avif",
+  jpeg: ".jpg",
+  png: ".png",
+};
+
+const GRAVITIES = [
+  "centre",
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+  "attention",
+  "entropy",
+];
+
+// Input properties for the encoder settings shared by every post-processing tool
+export const ENCODE_PROPERTIES = {
+  format: {
+    type: "string",
+    enum: OUTPUT_FORMATS,
+    description: "Output format (default: same as the input)",
+  },
+  quality: {
+    type: "number",
+    description: "Encoder quality 1-100 for webp, avif and jpeg (default: 80)",
+  },
+  lossless: {
+    type: "boolean",
+    description: "Lossless webp/avif encoding (default: false)",
+  },
+  compression_level: {
+    type: "number",
+    description: "PNG zlib compression level 0-9 (default: 9)",
+  },
+  effort: {
+    type: "number",
+    description:
+      "CPU effort for webp (0-6), avif (0-9) and png palette quantisation (1-10); higher is smaller but slower",
+  },
+};
+
+export const OPTIMIZE_PROPERTY = {
+  anyOf: [
+    { type: "boolean" },
+    {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: OUTPUT_FORMATS,
+          description: "Output format (default: webp)",
+        },
+        quality: {
+          type: "number",
+          description: "Encoder quality 1-100 (default: 80)",
+        },
+        widths: {
+          type: "array",
+          items: { type: "number" },
+          description: `Also write responsive variants at these widths (e.g. ${DEFAULT_RESPONSIVE_WIDTHS.join(", ")})`,
+        },
+        keep_original: {
+          type: "boolean",
+          description: "Keep the provider's original PNG next to the optimized file (default: false)",
+        },
+      },
+    },
+  ],
+  description:
+    "Optimize the generated file: true converts to webp, or pass { format, quality, widths, keep_original } to pick the format and write responsive variants",
+};
+
+export async function assertReadableImage(input) {
+  if (!input || !path.isAbsolute(input)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      "Input must be an absolute path to an image file"
+    );
+  }
+  try {
+    await fs.access(input);
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Input image not found: ${input}`);
+  }
+}
+
+export function formatOf(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".jpg" || ext === ".jpeg") return "jpeg";
+  return OUTPUT_FORMATS.find((format) => FORMAT_EXTENSIONS[format] === ext);
+}
+
+// Swaps the extension to match the format and appends an optional suffix
+export function derivePath(input, { suffix = "", format, dir } = {}) {
+  const parsed = path.parse(input);
+  const ext = format ? FORMAT_EXTENSIONS[format] : parsed.ext;
+  return path.join(dir || parsed.dir, `${parsed.name}${suffix}${ext}`);
+}
+
+function resolveOutput(input, output, options) {
+  if (!output) return derivePath(input, options);
+  return path.isAbsolute(output)
+    ? output
+    : path.join(path.dirname(input), output);
+}
+
+function encode(pipeline, format, options = {}) {
+  const { quality = 80, lossless = false, compression_level = 9, effort } = options;
+  switch (format) {
+    case "webp":
+      return pipeline.webp({ quality, lossless, ...(effort !== undefined && { effort }) });
+    case "avif":
+      return pipeline.avif({ quality, lossless, ...(effort !== undefined && { effort }) });
+    case "jpeg":
+      return pipeline.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true });
+    case "png":
+      return pipeline.png({
+        compressionLevel: compression_level,
+        ...(effort !== undefined && { palette: true, effort }),
+      });
+    default:
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unsupported format: ${format}. Use one of ${OUTPUT_FORMATS.join(", ")}`
+      );
+  }
+}
+
+async function write(pipeline, output, format, options) {
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  // Encode to memory first so the input can safely be overwritten in place
+  const { data, info } = await encode(pipeline, format, options).toBuffer({
+    resolveWithObject: true,
+  });
+  await fs.writeFile(output, data);
+  return {
+    path: output,
+    format,
+    width: info.width,
+    height: info.height,
+    bytes: data.length,
+  };
+}
+
+export async function resizeImage({
+  input,
+  output,
+  width,
+  height,
+  fit = "inside",
+  ...encodeOptions
+}) {
+  await assertReadableImage(input);
+  if (!width && !height) {
+    throw new McpError(ErrorCode.InvalidParams, "Pass a width, a height or both");
+  }
+  const format = encodeOptions.format || formatOf(input) || "png";
+  const suffix =
+    width && height ? `-${width}x${height}` : width ? `-${width}w` : `-${height}h`;
+  const target = resolveOutput(input, output, { suffix, format });
+  const pipeline = sharp(input).resize({
+    width,
+    height,
+    fit,
+    withoutEnlargement: fit === "inside",
+  });
+  return write(pipeline, target, format, encodeOptions);
+}
+
+export async function cropImage({
+  input,
+  output,
+  left,
+  top,
+  width,
+  height,
+  aspect_ratio,
+  gravity = "centre",
+  ...encodeOptions
+}) {
+  await assertReadableImage(input);
+  const format = encodeOptions.format || formatOf(input) || "png";
+  const target = resolveOutput(input, output, { suffix: "-cropped", format });
+  const metadata = await sharp(input).metadata();
+
+  let pipeline;
+  if (aspect_ratio) {
+    if (!GRAVITIES.includes(gravity)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown gravity: ${gravity}. Use one of ${GRAVITIES.join(", ")}`
+      );
+    }
+    const ratio = parseAspectRatio(aspect_ratio);
+    const cropWidth = Math.min(metadata.width, Math.round(metadata.height * ratio));
+    const cropHeight = Math.min(metadata.height, Math.round(metadata.width / ratio));
+    pipeline = sharp(input).resize({
+      width: cropWidth,
+      height: cropHeight,
+      fit: "cover",
+      position: gravity,
+    });
+  } else {
+    if ([left, top, width, height].some((value) => value === undefined)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Pass left, top, width and height, or an aspect_ratio"
+      );
+    }
+    if (left < 0 || top < 0 || left + width > metadata.width || top + height > metadata.height) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Crop region is outside the ${metadata.width}x${metadata.height} image`
+      );
+    }
+    pipeline = sharp(input).extract({ left, top, width, height });
+  }
+  return write(pipeline, target, format, encodeOptions);
+}
+
+export async function convertImage({ input, output, format, ...encodeOptions }) {
+  await assertReadableImage(input);
+  if (!format) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Format is required. Use one of ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+  const target = resolveOutput(input, output, { format });
+  return write(sharp(input), target, format, encodeOptions);
+}
+
+// Writes <name>-<width>w.<ext> for each width smaller than the source
+export async function responsiveVariants(input, { widths, format, ...encodeOptions }) {
+  const { width: sourceWidth } = await sharp(input).metadata();
+  const variants = [];
+  for (const width of [...new Set(widths)].sort((a, b) => a - b)) {
+    if (width >= sourceWidth) continue;
+    const target = derivePath(input, { suffix: `-${width}w`, format });
+    variants.push(
+      await write(sharp(input).resize({ width }), target, format, encodeOptions)
+    );
+  }
+  return variants;
+}
+
+export function normalizeOptimize(optimize) {
+  if (!optimize) return null;
+  const options = optimize === true ? {} : optimize;
+  return {
+    format: options.format || "webp",
+    quality: options.quality ?? 80,
+    widths: options.widths || [],
+    keep_original: Boolean(options.keep_original),
+  };
+}
+
+// Post-processes a freshly generated file: converts it, optionally writes
+// responsive variants, and removes the original unless asked to keep it
+export async function optimizeImage(input, optimize) {
+  const options = normalizeOptimize(optimize);
+  const target = derivePath(input, { format: options.format });
+  const before = (await fs.stat(input)).size;
+  const main = await write(sharp(input), target, options.format, options);
+  const variants = await responsiveVariants(input, options);
+  if (!options.keep_original && target !== input) {
+    await fs.unlink(input);
+  }
+  return { ...main, originalBytes: before, variants };
+}
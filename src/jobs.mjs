@@ -0,0 +1,211 @@
+import { randomUUID } from "crypto";
+import { CancelledError } from "./progress.mjs";
+
+export const DEFAULT_CONCURRENCY =
+  parseInt(process.env.IMAGE_MCP_CONCURRENCY) || 2;
+
+// Finished jobs kept around for get_image_job/list_image_jobs
+const MAX_FINISHED_JOBS = 100;
+
+export const JOB_STATES = ["queued", "running", "succeeded", "failed", "cancelled"];
+
+// Caps how many generations hit the providers at once. Extra calls wait in
+// FIFO order, and leave the queue if their signal aborts while waiting.
+export class Limiter {
+  constructor(concurrency = DEFAULT_CONCURRENCY) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  get pending() {
+    return this.waiting.length;
+  }
+
+  async run(fn, { signal } = {}) {
+    await this.acquire(signal);
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire(signal) {
+    if (signal?.aborted) return Promise.reject(new CancelledError());
+    if (this.active < this.concurrency) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const entry = {
+        resolve: () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        this.waiting = this.waiting.filter((waiter) => waiter !== entry);
+        reject(new CancelledError());
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.waiting.push(entry);
+    });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active -= 1;
+    }
+  }
+}
+
+export class JobQueue {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // Starts run(extra) and returns the job at once. `extra` mimics the request
+  // extra of a tool call so handlers report progress and honor cancellation
+  // the same way they do for synchronous calls. run waits for a slot itself,
+  // as a direct call would, and calls extra.onStart() once it has one.
+  start(tool, args, run) {
+    const controller = new AbortController();
+    const job = {
+      id: randomUUID(),
+      tool,
+      arguments: args,
+      state: "queued",
+      progress: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller,
+    };
+    this.jobs.set(job.id, job);
+
+    const extra = {
+      signal: controller.signal,
+      onStart: () => {
+        job.state = "running";
+        job.startedAt = new Date().toISOString();
+      },
+      _meta: { progressToken: job.id },
+      sendNotification: async (notification) => {
+        if (notification.method === "notifications/progress") {
+          const { progress, total, message } = notification.params;
+          job.progress = {
+            progress,
+            ...(total !== undefined && { total }),
+            ...(message && { message }),
+          };
+        }
+      },
+    };
+
+    Promise.resolve()
+      .then(() => run(extra))
+      .then(
+        (result) => {
+          job.state = "succeeded";
+          job.result = result;
+        },
+        (error) => {
+          if (controller.signal.aborted || error instanceof CancelledError) {
+            job.state = "cancelled";
+          } else {
+            job.state = "failed";
+            job.error = error.message;
+          }
+        }
+      )
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.prune();
+      });
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  list({ state } = {}) {
+    return [...this.jobs.values()].filter((job) => !state || job.state === state);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (job && ["queued", "running"].includes(job.state)) {
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  prune() {
+    const finished = this.list().filter((job) => job.finishedAt);
+    for (const job of finished.slice(0, -MAX_FINISHED_JOBS)) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+// Public view of a job, without the controller and the full tool result
+export function describeJob(job) {
+  return {
+    job_id: job.id,
+    tool: job.tool,
+    state: job.state,
+    ...(job.progress && { progress: job.progress }),
+    created_at: job.createdAt,
+    ...(job.startedAt && { started_at: job.startedAt }),
+    ...(job.finishedAt && { finished_at: job.finishedAt }),
+    ...(job.result?.structuredContent && { result: job.result.structuredContent }),
+    ...(job.error && { error: job.error }),
+  };
+}
+
+const JOB_SCHEMA = {
+  type: "object",
+  properties: {
+    job_id: { type: "string" },
+    tool: { type: "string" },
+    state: { type: "string", enum: JOB_STATES },
+    progress: {
+      type: "object",
+      properties: {
+        progress: { type: "number" },
+        total: { type: "number" },
+        message: { type: "string" },
+      },
+    },
+    created_at: { type: "string" },
+    started_at: { type: "string" },
+    finished_at: { type: "string" },
+    result: {
+      type: "object",
+      description: "structuredContent of the finished tool call",
+    },
+    error: { type: "string" },
+  },
+  required: ["job_id", "tool", "state"],
+};
+
+export const JOB_OUTPUT_SCHEMA = JOB_SCHEMA;
+
+export const JOB_LIST_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    jobs: { type: "array", items: JOB_SCHEMA },
+    running: { type: "number" },
+    queued: { type: "number" },
+    concurrency: { type: "number" },
+  },
+  required: ["jobs"],
+};
@@ -0,0 +1,363 @@
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { apiError, readJson } from "./edits.mjs";
+import { ProviderError } from "./errors.mjs";
+import { parseSize } from "./sizes.mjs";
+
+const COMFYUI_POLL_INTERVAL = 1000;
+const DEFAULT_LOCAL_TIMEOUT = 600000; // 10 minutes, local GPUs can be slow
+
+// Per-call generation arguments only local providers understand
+export const LOCAL_OPTIONS = ["seed", "steps", "sampler", "negative_prompt"];
+
+// A checkpoint file name passed as the model, optionally with the hash suffix
+// Automatic1111 shows in its model list
+export function isCheckpoint(model) {
+  return /\.(safetensors|ckpt|gguf)(\s*\[\w+\])?$/i.test(model);
+}
+
+// The per-call local options that were actually given, or undefined
+export function localOptions(args) {
+  const entries = LOCAL_OPTIONS.filter((key) => args[key] !== undefined).map((key) => [
+    key,
+    args[key],
+  ]);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+// A fixed seed makes a generation repeatable; a random one is picked here
+// rather than by the server so it can be reported back
+function resolveSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 ? seed : Math.floor(Math.random() * 2 ** 32);
+}
+
+// Stable Diffusion works in multiples of 8 pixels
+function latentSize(size) {
+  const { width, height } = parseSize(size);
+  const round = (value) => Math.max(64, Math.round(value / 8) * 8);
+  return { width: round(width), height: round(height) };
+}
+
+// Crops images back to the requested size when rounding to the latent grid
+// changed it, so local output always matches what was asked for
+async function toRequestedSize(images, size) {
+  const { width, height } = parseSize(size);
+  return await Promise.all(
+    images.map(async (image) => {
+      const metadata = await sharp(image).metadata();
+      if (metadata.width === width && metadata.height === height) return image;
+      return await sharp(image).resize({ width, height, fit: "cover" }).png().toBuffer();
+    })
+  );
+}
+
+function parameters(settings, options, defaults) {
+  return {
+    seed: resolveSeed(options.seed ?? settings.seed),
+    steps: options.steps ?? settings.steps ?? defaults.steps,
+    sampler: options.sampler ?? settings.sampler ?? defaults.sampler,
+    cfg_scale: settings.cfg_scale ?? 7,
+    negative_prompt: options.negative_prompt ?? settings.negative_prompt ?? "",
+  };
+}
+
+function endpoint(settings, route) {
+  return new URL(route, settings.url.endsWith("/") ? settings.url : `${settings.url}/`);
+}
+
+// Runs a best-effort cleanup once the caller gave up, so a cancelled request
+// doesn't keep the GPU busy
+function onAbort(signal, cleanup) {
+  const run = () => {
+    cleanup().catch(() => {});
+  };
+  signal?.addEventListener("abort", run, { once: true });
+  return () => signal?.removeEventListener("abort", run);
+}
+
+// Automatic1111 (and Forge, SD.Next) /sdapi/v1/txt2img. A checkpoint given as
+// the model is loaded for this call only.
+export async function automatic1111Generate({
+  settings,
+  model,
+  prompt,
+  size,
+  n = 1,
+  options = {},
+  signal,
+}) {
+  const used = parameters(settings, options, { steps: 25, sampler: "Euler a" });
+  const checkpoint = isCheckpoint(model) ? model : settings.checkpoint;
+  const body = {
+    prompt,
+    negative_prompt: used.negative_prompt,
+    ...latentSize(size),
+    steps: used.steps,
+    sampler_name: used.sampler,
+    cfg_scale: used.cfg_scale,
+    seed: used.seed,
+    batch_size: n,
+    ...(checkpoint && {
+      override_settings: { sd_model_checkpoint: checkpoint },
+      override_settings_restore_afterwards: true,
+    }),
+  };
+
+  // Automatic1111 runs one request at a time, so the one in progress is ours
+  const stopListening = onAbort(signal, () =>
+    fetch(endpoint(settings, "sdapi/v1/interrupt"), { method: "POST" })
+  );
+  // The answer only comes once the images are done, so without a deadline a
+  // hung server would hold a slot until the HTTP client gives up, which
+  // would then count as a transient error and be retried
+  const timeout = settings.timeout_ms || DEFAULT_LOCAL_TIMEOUT;
+  const deadline = AbortSignal.timeout(timeout);
+  try {
+    let response;
+    let result;
+    try {
+      response = await fetch(endpoint(settings, "sdapi/v1/txt2img"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: signal ? AbortSignal.any([signal, deadline]) : deadline,
+      });
+      result = await readJson(response);
+    } catch (error) {
+      if (!deadline.aborted || signal?.aborted) throw error;
+      throw new ProviderError(
+        "timeout",
+        `Automatic1111 timed out after ${timeout / 1000}s (timeout_ms)`,
+        { provider: "automatic1111" }
+      );
+    }
+    if (!response.ok) {
+      throw apiError("Automatic1111", response, result);
+    }
+    // Batches can append a grid image after the individual ones
+    const images = (result.images || [])
+      .slice(0, n)
+      .map((image) => Buffer.from(image, "base64"));
+    if (!images.length) {
+      throw new Error("Automatic1111 returned no images");
+    }
+    return { images: await toRequestedSize(images, size), parameters: used };
+  } finally {
+    stopListening();
+  }
+}
+
+// A basic checkpoint txt2img graph in ComfyUI's API format, used when no
+// workflow template is configured
+export const DEFAULT_COMFYUI_WORKFLOW = {
+  3: {
+    class_type: "KSampler",
+    inputs: {
+      seed: "{{seed}}",
+      steps: "{{steps}}",
+      cfg: "{{cfg_scale}}",
+      sampler_name: "{{sampler}}",
+      scheduler: "{{scheduler}}",
+      denoise: 1,
+      model: ["4", 0],
+      positive: ["6", 0],
+      negative: ["7", 0],
+      latent_image: ["5", 0],
+    },
+  },
+  4: {
+    class_type: "CheckpointLoaderSimple",
+    inputs: { ckpt_name: "{{checkpoint}}" },
+  },
+  5: {
+    class_type: "EmptyLatentImage",
+    inputs: { width: "{{width}}", height: "{{height}}", batch_size: "{{count}}" },
+  },
+  6: {
+    class_type: "CLIPTextEncode",
+    inputs: { text: "{{prompt}}", clip: ["4", 1] },
+  },
+  7: {
+    class_type: "CLIPTextEncode",
+    inputs: { text: "{{negative_prompt}}", clip: ["4", 1] },
+  },
+  8: {
+    class_type: "VAEDecode",
+    inputs: { samples: ["3", 0], vae: ["4", 2] },
+  },
+  9: {
+    class_type: "SaveImage",
+    inputs: { filename_prefix: "image-mcp", images: ["8", 0] },
+  },
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Fills {{name}} placeholders in a workflow. A string that is nothing but a
+// placeholder takes the value as is, so numbers stay numbers.
+export function fillWorkflow(workflow, values) {
+  const lookup = (name) => {
+    if (!(name in values)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown placeholder {{${name}}} in the ComfyUI workflow. Available: ${Object.keys(values).join(", ")}`
+      );
+    }
+    if (values[name] === undefined) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        name === "checkpoint"
+          ? "The ComfyUI workflow needs a checkpoint: set local.comfyui.checkpoint in the config or pass a checkpoint file name as the model"
+          : `The ComfyUI workflow needs a value for {{${name}}}`
+      );
+    }
+    return values[name];
+  };
+  const fill = (node) => {
+    if (typeof node === "string") {
+      const whole = /^\{\{\s*(\w+)\s*\}\}$/.exec(node);
+      if (whole) return lookup(whole[1]);
+      return node.replace(PLACEHOLDER, (_, name) => String(lookup(name)));
+    }
+    if (Array.isArray(node)) return node.map(fill);
+    if (node && typeof node === "object") {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value)]));
+    }
+    return node;
+  };
+  return fill(workflow);
+}
+
+// Read on every call so a template can be tweaked without a restart
+async function loadWorkflow(settings) {
+  if (!settings.workflow) return DEFAULT_COMFYUI_WORKFLOW;
+  try {
+    return JSON.parse(await fs.readFile(settings.workflow, "utf8"));
+  } catch (error) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Could not load the ComfyUI workflow ${settings.workflow}: ${error.message}. Export it with "Save (API Format)"`
+    );
+  }
+}
+
+async function waitForHistory(settings, promptId, signal) {
+  const deadline = Date.now() + (settings.timeout_ms || DEFAULT_LOCAL_TIMEOUT);
+  for (;;) {
+    const response = await fetch(endpoint(settings, `history/${promptId}`), { signal });
+    const history = await readJson(response);
+    if (!response.ok) {
+      throw apiError("ComfyUI", response, history);
+    }
+    const entry = history[promptId];
+    if (entry?.status?.status_str === "error") {
+      const failure = entry.status.messages?.find(([type]) => type === "execution_error")?.[1];
+      throw new Error(
+        `ComfyUI workflow failed${failure ? ` in ${failure.node_type}: ${failure.exception_message}` : ""}`
+      );
+    }
+    if (entry?.status?.completed || (entry && !entry.status)) {
+      return entry;
+    }
+    if (Date.now() > deadline) {
+      throw new ProviderError(
+        "timeout",
+        `ComfyUI timed out after ${(settings.timeout_ms || DEFAULT_LOCAL_TIMEOUT) / 1000}s (timeout_ms)`,
+        { provider: "comfyui" }
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, COMFYUI_POLL_INTERVAL));
+  }
+}
+
+function postJson(settings, route, body) {
+  return fetch(endpoint(settings, route), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+// ComfyUI's /interrupt stops whatever is running, possibly another client's
+// prompt, so it is only sent while ours runs; a prompt still waiting is
+// deleted from the queue instead
+async function cancelComfyuiPrompt(settings, promptId) {
+  const response = await fetch(endpoint(settings, "queue"));
+  const queue = await readJson(response);
+  if (!response.ok) {
+    throw apiError("ComfyUI", response, queue);
+  }
+  // Queue items are [number, prompt_id, prompt, extra_data, outputs]
+  const holds = (items) => (items || []).some((item) => item[1] === promptId);
+  if (holds(queue.queue_running)) {
+    await postJson(settings, "interrupt", { prompt_id: promptId });
+  } else if (holds(queue.queue_pending)) {
+    await postJson(settings, "queue", { delete: [promptId] });
+  }
+}
+
+// Queues a workflow on ComfyUI's /prompt endpoint, waits for it in /history
+// and downloads the saved images through /view. The prompt id is picked here,
+// so a cancellation can find the prompt even before ComfyUI answered.
+export async function comfyuiGenerate({
+  settings,
+  model,
+  prompt,
+  size,
+  n = 1,
+  options = {},
+  signal,
+}) {
+  const used = parameters(settings, options, { steps: 20, sampler: "euler" });
+  const workflow = fillWorkflow(await loadWorkflow(settings), {
+    prompt,
+    ...latentSize(size),
+    count: n,
+    ...used,
+    scheduler: settings.scheduler || "normal",
+    checkpoint: isCheckpoint(model) ? model : settings.checkpoint,
+  });
+
+  let promptId = randomUUID();
+  const stopListening = onAbort(signal, () => cancelComfyuiPrompt(settings, promptId));
+  try {
+    const response = await fetch(endpoint(settings, "prompt"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prompt: workflow, prompt_id: promptId, client_id: randomUUID() }),
+      signal,
+    });
+    const queued = await readJson(response);
+    if (!response.ok) {
+      throw apiError("ComfyUI", response, queued);
+    }
+    // Older ComfyUI versions ignore the given id and pick their own
+    promptId = queued.prompt_id || promptId;
+
+    const entry = await waitForHistory(settings, promptId, signal);
+    // Only saved images; preview nodes write temp files as well
+    const files = Object.values(entry.outputs || {})
+      .flatMap((output) => output.images || [])
+      .filter((image) => image.type === "output");
+    if (!files.length) {
+      throw new Error("The ComfyUI workflow saved no images, it needs a SaveImage node");
+    }
+
+    const images = await Promise.all(
+      files.slice(0, n).map(async ({ filename, subfolder, type }) => {
+        const url = endpoint(settings, "view");
+        url.search = new URLSearchParams({ filename, subfolder, type }).toString();
+        const download = await fetch(url, { signal });
+        if (!download.ok) {
+          throw new Error(`Failed to download ComfyUI output ${filename}: ${download.status}`);
+        }
+        return Buffer.from(await download.arrayBuffer());
+      })
+    );
+    return { images: await toRequestedSize(images, size), parameters: used };
+  } finally {
+    stopListening();
+  }
+}
@@ -0,0 +1,132 @@
+// RFC 5424 severities as MCP names them, least to most severe
+export const LOG_LEVELS = [
+  "debug",
+  "info",
+  "notice",
+  "warning",
+  "error",
+  "critical",
+  "alert",
+  "emergency",
+];
+
+export const DEFAULT_LOG_LEVEL = "info";
+
+const REDACTED = "[REDACTED]";
+
+// Object keys whose values are never logged; *_env keys only name a variable
+const SECRET_KEY = /(api[_-]?key|token|secret|password|authorization)$/i;
+const SECRET_ENV = /KEY|TOKEN|SECRET|PASSWORD/i;
+
+// Secrets as they show up in text: CLI flags, auth headers, query strings
+// and the key formats of the hosted providers
+const SECRET_PATTERNS = [
+  [/(--api-key(?:=|\s+))("[^"]*"|\S+)/gi, `$1${REDACTED}`],
+  [/(\bBearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/([?&](?:api_?key|key|token)=)[^&\s]+/gi, `$1${REDACTED}`],
+  [/\bsk-[\w-]{16,}/g, REDACTED],
+  [/\br8_\w{16,}/g, REDACTED],
+];
+
+export function parseLevel(level, fallback = DEFAULT_LOG_LEVEL) {
+  return LOG_LEVELS.includes(level) ? level : fallback;
+}
+
+function severity(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+// Read on every call, so a key set after startup is still caught. Short
+// values would blank out ordinary words.
+function envSecrets() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+    .map(([, value]) => value)
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactText(text, secrets) {
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+// Copies a string, error or JSON value with every secret replaced, for
+// anything that leaves the process: stderr, client notifications, the audit log
+export function redact(value, secrets = envSecrets()) {
+  if (typeof value === "string") return redactText(value, secrets);
+  if (value instanceof Error) return redactText(value.message, secrets);
+  if (Array.isArray(value)) return value.map((item) => redact(item, secrets));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY.test(key) && !/_env$/i.test(key) && item
+          ? REDACTED
+          : redact(item, secrets),
+      ])
+    );
+  }
+  return value;
+}
+
+// stderr is the only channel that never interferes with stdio transport
+const stderrLevel = () => parseLevel(process.env.IMAGE_MCP_LOG_LEVEL);
+
+// Writes a line to stderr when it meets IMAGE_MCP_LOG_LEVEL. For code that
+// runs outside a session; tools log through their session's Logger.
+export function log(level, message, data) {
+  if (severity(level) < severity(stderrLevel())) return;
+  const details = data === undefined ? "" : ` ${JSON.stringify(redact(data))}`;
+  process.stderr.write(`[${level}] ${redact(message)}${details}\n`);
+}
+
+// A session's logger: every message goes to stderr as with log(), and to the
+// client as notifications/message when it meets the level the client chose
+// with logging/setLevel
+export class Logger {
+  constructor(server, { name = "image-mcp", level = stderrLevel() } = {}) {
+    this.server = server;
+    this.name = name;
+    this.level = level;
+  }
+
+  setLevel(level) {
+    this.level = parseLevel(level, this.level);
+  }
+
+  log(level, message, data) {
+    log(level, message, data);
+    if (severity(level) < severity(this.level)) return;
+    const text = redact(message);
+    this.server
+      .sendLoggingMessage({
+        level,
+        logger: this.name,
+        data: data === undefined ? text : { message: text, ...redact(data) },
+      })
+      // Not connected yet or already closed; stderr has the message
+      .catch(() => {});
+  }
+
+  debug(message, data) {
+    this.log("debug", message, data);
+  }
+
+  info(message, data) {
+    this.log("info", message, data);
+  }
+
+  warning(message, data) {
+    this.log("warning", message, data);
+  }
+
+  error(message, data) {
+    this.log("error", message, data);
+  }
+}
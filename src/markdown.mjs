@@ -0,0 +1,334 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { createHash } from "crypto";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+export const MARKDOWN_EXTENSIONS = [".md", ".mdx", ".markdown"];
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".avif"];
+
+// ![alt](generate:"prompt" size=landscape name=hero)
+const PLACEHOLDER = /!\[([^\]]*)\]\(generate:\s*"((?:[^"\\]|\\.)*)"([^)]*)\)/g;
+const OPTION = /(\w+)=("(?:[^"\\]|\\.)*"|[^\s"]+)/g;
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Placeholder options and the generation argument each one sets; size and
+// preset are resolved against the server's presets
+const PASSTHROUGH_OPTIONS = {
+  model: "model",
+  provider: "provider",
+  quality: "quality",
+  style: "style",
+  ratio: "aspect_ratio",
+  aspect_ratio: "aspect_ratio",
+};
+const PLACEHOLDER_OPTIONS = [...Object.keys(PASSTHROUGH_OPTIONS), "size", "preset", "name"];
+
+// Markdown files at a path, or under it for a directory. Dependencies and
+// hidden folders are skipped, as are symlinked directories.
+export async function findMarkdownFiles(target) {
+  const stats = await fs.stat(target).catch(() => null);
+  if (!stats) {
+    throw new McpError(ErrorCode.InvalidParams, `${target} does not exist`);
+  }
+  if (stats.isFile()) {
+    if (!MARKDOWN_EXTENSIONS.includes(path.extname(target).toLowerCase())) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${target} is not a Markdown file (${MARKDOWN_EXTENSIONS.join(", ")})`
+      );
+    }
+    return [target];
+  }
+
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith(".") && entry.name !== "node_modules") {
+          await walk(entryPath);
+        }
+      } else if (
+        entry.isFile() &&
+        MARKDOWN_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+      ) {
+        files.push(entryPath);
+      }
+    }
+  };
+  await walk(target);
+  return files.sort();
+}
+
+function unquote(value) {
+  return value.startsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, "$1") : value;
+}
+
+export function parseOptions(text) {
+  const options = {};
+  for (const [, key, value] of text.matchAll(OPTION)) {
+    options[key] = unquote(value);
+  }
+  return options;
+}
+
+// Fenced blocks and inline code, where placeholders are only examples
+function codeRanges(text) {
+  const ranges = [];
+  for (const match of text.matchAll(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[ \t]*$/gm)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  for (const match of text.matchAll(/`[^`\n]+`/g)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+export function findPlaceholders(text) {
+  const code = codeRanges(text);
+  return [...text.matchAll(PLACEHOLDER)]
+    .filter((match) => !code.some(([start, end]) => match.index >= start && match.index < end))
+    .map((match) => ({
+      source: match[0],
+      index: match.index,
+      alt: match[1],
+      prompt: match[2].replace(/\\(.)/g, "$1"),
+      options: parseOptions(match[3]),
+    }));
+}
+
+export function readFrontmatter(text) {
+  const match = FRONTMATTER.exec(text);
+  if (!match) return null;
+  try {
+    const data = YAML.parse(match[1]);
+    return data && typeof data === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Sets one top-level key in the frontmatter, editing the text in place so
+// the rest of it keeps its formatting and comments
+export function setFrontmatterValue(text, key, value) {
+  const match = FRONTMATTER.exec(text);
+  const lines = match[1].split(/\r?\n/);
+  const line = `${key}: ${JSON.stringify(value)}`;
+  const existing = lines.findIndex((entry) => entry.startsWith(`${key}:`));
+  if (existing >= 0) {
+    lines[existing] = line;
+  } else {
+    lines.push(line);
+  }
+  const start = match[0].indexOf(match[1]);
+  return (
+    text.slice(0, start) + lines.join("\n") + text.slice(start + match[1].length)
+  );
+}
+
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 48)
+      .replace(/-$/, "") || "image"
+  );
+}
+
+// The same request always maps to the same file name, and different ones
+// never share a file, so an interrupted run picks up where it stopped
+export function assetBaseName({ prompt, alt, options }) {
+  const hash = createHash("sha256")
+    .update(JSON.stringify({ prompt, options }))
+    .digest("hex")
+    .slice(0, 8);
+  return `${slugify(options.name || alt || prompt)}-${hash}`;
+}
+
+// An image saved for this base name by an earlier run, in any format
+export async function existingAsset(assetsDir, baseName) {
+  const names = await fs.readdir(assetsDir).catch(() => []);
+  const found = names.find(
+    (name) =>
+      path.parse(name).name === baseName &&
+      IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+  );
+  return found ? path.join(assetsDir, found) : null;
+}
+
+// Turns placeholder options into a tool name and its arguments. size may be
+// WIDTHxHEIGHT or a preset shorthand: landscape finds landscape_image.
+// Errors are plain, since they end up in the report for that placeholder.
+export function placeholderRequest(options, presets) {
+  const unknown = Object.keys(options).filter((key) => !PLACEHOLDER_OPTIONS.includes(key));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown placeholder option(s) ${unknown.join(", ")}. Use ${PLACEHOLDER_OPTIONS.join(", ")}`
+    );
+  }
+
+  let tool = "generate_ai_image";
+  const args = {};
+  for (const [option, argument] of Object.entries(PASSTHROUGH_OPTIONS)) {
+    if (options[option] !== undefined) args[argument] = options[option];
+  }
+
+  const preset = options.preset || options.size;
+  if (options.preset && !presets.has(options.preset)) {
+    throw new Error(`Unknown preset ${options.preset}`);
+  }
+  if (preset && presets.has(preset)) {
+    tool = preset;
+  } else if (options.size && presets.has(`${options.size}_image`)) {
+    tool = `${options.size}_image`;
+  } else if (options.size) {
+    if (!/^\d+\s*x\s*\d+$/i.test(options.size)) {
+      throw new Error(
+        `Unknown size ${options.size}, use WIDTHxHEIGHT or a preset such as landscape`
+      );
+    }
+    args.size = options.size;
+  }
+  return { tool, args };
+}
+
+// A link from the Markdown file to an asset, always with forward slashes
+export function relativeLink(fromFile, assetPath) {
+  const link = path.relative(path.dirname(fromFile), assetPath).split(path.sep).join("/");
+  return /[\s()]/.test(link) ? `<${link}>` : link;
+}
+
+// Replaces placeholders back to front so earlier indexes stay valid
+export function replacePlaceholders(text, replacements) {
+  let result = text;
+  for (const { index, source, replacement } of [...replacements].sort(
+    (a, b) => b.index - a.index
+  )) {
+    result = result.slice(0, index) + replacement + result.slice(index + source.length);
+  }
+  return result;
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+}
+
+// The cover to generate for a frontmatter cover_prompt, unless cover_image
+// already points at a file. URLs and site-absolute paths are left alone.
+async function coverOptions(file, frontmatter) {
+  if (typeof frontmatter?.cover_prompt !== "string" || !frontmatter.cover_prompt.trim()) {
+    return null;
+  }
+  const current = frontmatter.cover_image;
+  if (current) {
+    if (typeof current !== "string" || /^[a-z]+:|^\//i.test(current)) return null;
+    if (await exists(path.resolve(path.dirname(file), current))) return null;
+  }
+  return {
+    name: `${path.parse(file).name}-cover`,
+    ...(frontmatter.cover_preset
+      ? { preset: frontmatter.cover_preset }
+      : { size: frontmatter.cover_size || "landscape" }),
+  };
+}
+
+// Reads a Markdown file and lists what it still needs: placeholders in the
+// body and a frontmatter cover. Bad placeholder options fail that placeholder
+// only.
+export async function planMarkdownFile(file, { assetsDir, presets }) {
+  const text = await fs.readFile(file, "utf8");
+  const requests = findPlaceholders(text).map((placeholder) => ({
+    kind: "image",
+    ...placeholder,
+  }));
+  const frontmatter = readFrontmatter(text);
+  const cover = await coverOptions(file, frontmatter);
+  if (cover) {
+    requests.push({ kind: "cover", prompt: frontmatter.cover_prompt, options: cover });
+  }
+
+  const tasks = requests.map((request) => {
+    const task = {
+      file,
+      assetsDir,
+      baseName: assetBaseName(request),
+      ...request,
+    };
+    try {
+      Object.assign(task, placeholderRequest(request.options, presets));
+    } catch (error) {
+      task.status = "failed";
+      task.error = error.message;
+    }
+    return task;
+  });
+  return { file, text, tasks };
+}
+
+// Writes the links of every task that has an image, leaving failed
+// placeholders in place for the next run. Generating can take minutes, so the
+// file is read again and placeholders are found by their text: edits made in
+// the meantime are kept, and placeholders the user removed stay removed. A
+// cover_image the user changed since planning is left alone too.
+// Returns whether the file changed.
+export async function applyPlan({ file, text: planned, tasks }) {
+  const text = await fs.readFile(file, "utf8");
+  const links = new Map(
+    tasks
+      .filter((task) => task.kind === "image" && task.link)
+      .map((task) => [task.source, `![${task.alt}](${task.link})`])
+  );
+  let updated = replacePlaceholders(
+    text,
+    findPlaceholders(text)
+      .filter((placeholder) => links.has(placeholder.source))
+      .map((placeholder) => ({ ...placeholder, replacement: links.get(placeholder.source) }))
+  );
+  const cover = tasks.find((task) => task.kind === "cover" && task.link);
+  const frontmatter = readFrontmatter(updated);
+  if (cover && frontmatter && frontmatter.cover_image === readFrontmatter(planned)?.cover_image) {
+    updated = setFrontmatterValue(updated, "cover_image", cover.link.replace(/^<|>$/g, ""));
+  }
+  if (updated === text) return false;
+  await fs.writeFile(file, updated, "utf8");
+  return true;
+}
+
+export const MARKDOWN_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          file: { type: "string", description: "Markdown file the placeholder is in" },
+          kind: { type: "string", enum: ["image", "cover"] },
+          prompt: { type: "string" },
+          tool: { type: "string", description: "Generation tool the placeholder maps to" },
+          status: {
+            type: "string",
+            enum: ["generated", "existing", "planned", "failed", "cancelled"],
+            description:
+              "existing: an earlier run already saved the image, so it was linked without generating",
+          },
+          path: { type: "string" },
+          link: { type: "string", description: "Relative link written into the file" },
+          error: { type: "string" },
+        },
+        required: ["file", "kind", "status"],
+      },
+    },
+    files_changed: { type: "array", items: { type: "string" } },
+    generated: { type: "number" },
+    failed: { type: "number" },
+  },
+  required: ["items", "files_changed", "generated", "failed"],
+};
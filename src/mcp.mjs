@@ -5,470 +5,2714 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  RootsListChangedNotificationSchema,
+  SetLevelRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { spawn } from "child_process";
+import { parseArgs } from "util";
+import path from "path";
+import { fileURLToPath } from "url";
+import { randomUUID } from "crypto";
 import { ImageGenerator } from "ai-image";
+import {
+  buildImageResult,
+  IMAGE_OUTPUT_SCHEMA,
+  IMAGE_RESULT_PROPERTIES,
+  imageSize,
+  inlineImage,
+  resourceLink,
+} from "./results.mjs";
+import {
+  abortable,
+  CancelledError,
+  createProgressReporter,
+  OutputScratch,
+} from "./progress.mjs";
+import {
+  configureProvider,
+  describeProviders,
+  findModel,
+  getApiKey,
+  getProvider,
+  isConfigured,
+  LIST_MODELS_OUTPUT_SCHEMA,
+  listProviders,
+  maskSecret,
+  providerSettings,
+  resolveBackground,
+  resolveCount,
+  resolveEditModel,
+  resolveProvider,
+  resolveQuality,
+  setupHint,
+} from "./providers.mjs";
+import { localOptions } from "./local.mjs";
+import {
+  ALT_TEXT_PROPERTY,
+  DESCRIBE_OUTPUT_SCHEMA,
+  describeImage,
+  visionSettings,
+} from "./describe.mjs";
+import {
+  describeAdjustment,
+  FIT_MODES,
+  fitImage,
+  parseSize,
+  planSize,
+} from "./sizes.mjs";
+import { saveImages } from "./edits.mjs";
+import {
+  BATCH_ITEM_PROPERTIES,
+  BATCH_OUTPUT_SCHEMA,
+  loadManifest,
+  runBatch,
+  specArguments,
+} from "./batch.mjs";
+import {
+  applyPlan,
+  existingAsset,
+  findMarkdownFiles,
+  MARKDOWN_OUTPUT_SCHEMA,
+  planMarkdownFile,
+  relativeLink,
+} from "./markdown.mjs";
+import { ICON_SET_FILES, ICON_SET_OUTPUT_SCHEMA, writeIconSet } from "./icons.mjs";
+import {
+  buildContactSheet,
+  cellFilename,
+  COMPARE_OUTPUT_SCHEMA,
+  compareCells,
+  DEFAULT_CELL_WIDTH,
+  describeCell,
+  MAX_COMPARE_CELLS,
+} from "./compare.mjs";
+import { ENHANCE_PROMPT_PROPERTY, REFINE_OUTPUT_SCHEMA, refinePrompt } from "./enhance.mjs";
+import {
+  applyStyle,
+  buildPromptCall,
+  describeTemplates,
+  findStyle,
+  loadPromptLibrary,
+} from "./prompts.mjs";
+import { HISTORY_URI_TEMPLATE, ImageHistory } from "./history.mjs";
+import {
+  DEFAULT_HTTP_HOST,
+  DEFAULT_HTTP_PORT,
+  DEFAULT_SESSION_IDLE_MS,
+  startHttpServer,
+} from "./http.mjs";
+import {
+  buildProvenance,
+  IMAGE_INFO_OUTPUT_SCHEMA,
+  readImageInfo,
+  writeProvenance,
+} from "./metadata.mjs";
+import {
+  describeJob,
+  JOB_LIST_OUTPUT_SCHEMA,
+  JOB_OUTPUT_SCHEMA,
+  JOB_STATES,
+  JobQueue,
+  Limiter,
+} from "./jobs.mjs";
+import {
+  assertReadableImage,
+  convertImage,
+  cropImage,
+  ENCODE_PROPERTIES,
+  OPTIMIZE_PROPERTY,
+  optimizeImage,
+  resizeImage,
+} from "./imageops.mjs";
+import { loadConfig, presetArguments, withDefaults } from "./config.mjs";
+import {
+  canFailOver,
+  classifyError,
+  ERROR_KINDS,
+  ProviderError,
+  toMcpError,
+  withRetries,
+} from "./errors.mjs";
+import { USAGE_GROUPS, USAGE_OUTPUT_SCHEMA, UsageLedger } from "./usage.mjs";
+import { AUDIT_OUTCOMES, AUDIT_OUTPUT_SCHEMA, AuditLog, outputPaths } from "./audit.mjs";
+import { log, Logger, redact } from "./logging.mjs";
+import {
+  cacheKey,
+  CLEAR_CACHE_OUTPUT_SCHEMA,
+  ImageCache,
+  outputFingerprint,
+  refinementKey,
+} from "./cache.mjs";
+import {
+  checkFilename,
+  DIAGNOSE_OUTPUT_SCHEMA,
+  envRoots,
+  ROOT_SOURCES,
+  Sandbox,
+} from "./sandbox.mjs";
+
+// CLI generations are killed after this long; use jobs for longer runs
+const GENERATION_TIMEOUT =
+  parseInt(process.env.IMAGE_MCP_TIMEOUT_MS) || 300000; // 5 minutes
+
+const SERVER_VERSION = "0.0.1";
+
+// Input properties shared by generate_ai_image and every preset tool
+const GENERATION_PROPERTIES = {
+  prompt: {
+    type: "string",
+    description: "The text prompt for image generation",
+  },
+  size: {
+    type: "string",
+    description:
+      "Image size in format WIDTHxHEIGHT (e.g., 1200x630). Sizes the provider can't produce are generated at the closest supported size, then cropped and resized locally",
+    default: "1024x1024",
+  },
+  aspect_ratio: {
+    type: "string",
+    description: "Aspect ratio such as 16:9, 4:5 or 21:9 (alternative to size)",
+  },
+  fit: {
+    type: "string",
+    enum: FIT_MODES,
+    description:
+      "How to reach an exact size the provider can't produce: cover crops, contain letterboxes, fill stretches",
+    default: "cover",
+  },
+  model: {
+    type: "string",
+    description: "AI model to use for generation (optional, see list_models)",
+  },
+  provider: {
+    type: "string",
+    description:
+      "Provider to route to, e.g. openai, replicate, automatic1111 or comfyui (optional, inferred from the model)",
+  },
+  output: {
+    type: "string",
+    description: "Output file name without directories (optional)",
+  },
+  output_dir: {
+    type: "string",
+    description:
+      "Absolute path of the directory where to save the image, inside the allowed roots (see diagnose). Use the current folder, or one that makes sense for assets",
+  },
+  quality: {
+    type: "string",
+    description: "Image quality (low, medium, high, auto) - OpenAI only",
+    default: "high",
+  },
+  uselibincli: {
+    type: "boolean",
+    description: "Use library imports instead of CLI (default: false)",
+    default: false,
+  },
+  count: {
+    type: "number",
+    description:
+      "Number of variants to generate in one call (default: 1, see max_images in list_models)",
+    default: 1,
+  },
+  seed: {
+    type: "number",
+    description:
+      "Seed for a repeatable result (automatic1111 and comfyui only, random by default and reported back)",
+  },
+  steps: {
+    type: "number",
+    description: "Sampling steps (automatic1111 and comfyui only)",
+  },
+  sampler: {
+    type: "string",
+    description:
+      "Sampler name as the local server spells it, e.g. \"DPM++ 2M\" for automatic1111 or \"dpmpp_2m\" for comfyui",
+  },
+  negative_prompt: {
+    type: "string",
+    description: "What to keep out of the image (automatic1111 and comfyui only)",
+  },
+  background: {
+    type: "string",
+    enum: ["auto", "transparent", "opaque"],
+    description:
+      "Background of the image (gpt-image-1 only). transparent needs a PNG or WebP output, so don't optimize to avif or jpeg",
+  },
+  optimize: OPTIMIZE_PROPERTY,
+  force: {
+    type: "boolean",
+    description:
+      "Generate new images even when an identical request is in the cache (default: false)",
+    default: false,
+  },
+  alt_text: ALT_TEXT_PROPERTY,
+  enhance_prompt: ENHANCE_PROMPT_PROPERTY,
+  style: {
+    type: "string",
+    description:
+      "Style guide to apply to the prompt: photoreal, flat, isometric, watercolor, or one from the prompts directory (see prompts/list)",
+  },
+  ...IMAGE_RESULT_PROPERTIES,
+};
+
+// Builds a generation tool definition. Presets fix size/aspect_ratio, so those
+// drop out of the schema; config defaults show up as schema defaults, and
+// output_dir stops being required once a default supplies it.
+function generationTool(name, description, defaults, { size, aspect_ratio } = {}) {
+  const fixed = Boolean(size || aspect_ratio);
+  const properties = Object.fromEntries(
+    Object.entries(GENERATION_PROPERTIES)
+      .filter(([key]) => !(fixed && ["size", "aspect_ratio"].includes(key)))
+      .map(([key, property]) =>
+        defaults[key] !== undefined && typeof defaults[key] !== "object"
+          ? [key, { ...property, default: defaults[key] }]
+          : [key, property]
+      )
+  );
+  if (defaults.format && defaults.format !== "png") {
+    properties.optimize = {
+      ...properties.optimize,
+      description: `${properties.optimize.description}. Defaults to ${defaults.format} for this tool`,
+    };
+  }
+  return {
+    name,
+    description,
+    inputSchema: {
+      type: "object",
+      properties,
+      required: defaults.output_dir ? ["prompt"] : ["prompt", "output_dir"],
+    },
+    outputSchema: IMAGE_OUTPUT_SCHEMA,
+  };
+}
+
+// Per-call options that change the pixels, for the cache key: the local
+// sampling settings and the background
+function requestOptions(args) {
+  const options = { ...localOptions(args), ...(args.background && { background: args.background }) };
+  return Object.keys(options).length ? options : undefined;
+}
 
-const PROGRESS_UPDATE_INTERVAL = 3000; // 3 seconds
+// The sampling settings a local server used, so a result can be repeated
+function describeParameters({ seed, steps, sampler }) {
+  return `Seed ${seed}, ${steps} steps, ${sampler} sampler`;
+}
+
+function describePreset(name, preset) {
+  const shape = preset.size || preset.aspect_ratio || "default-size";
+  return [
+    `Generate a ${shape} image with the ${name} preset`,
+    preset.format && `saved as ${preset.format}`,
+    preset.output_dir && `to ${preset.output_dir}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
 
 class AIImageMCPServer {
-  constructor() {
+  // In HTTP mode every session gets its own instance; the limiter is passed in
+  // so all sessions share one concurrency limit, imageBaseUrl makes resource
+  // links point at the HTTP image route instead of file:// paths, and
+  // clientRoots is off, since a remote client's roots would let it pick which
+  // of the server's folders to read and write
+  constructor({ limiter, usage, imageBaseUrl, clientRoots = true, config = loadConfig() } = {}) {
     this.server = new Server(
       {
         name: "ai-image/mcp",
-        version: "0.0.1",
+        version: SERVER_VERSION,
       },
       {
         capabilities: {
           tools: {},
+          resources: { listChanged: true },
+          prompts: {},
+          logging: {},
         },
       }
     );
+    this.logger = new Logger(this.server);
+
+    this.config = config;
+    this.presets = new Map(Object.entries(config.presets));
+    this.limiter = limiter || new Limiter();
+    this.imageBaseUrl = imageBaseUrl;
+    this.jobs = new JobQueue();
+    this.history = new ImageHistory();
+    this.cache = new ImageCache(config.cache);
+    this.usage = usage || new UsageLedger(config.usage);
+    this.audit = new AuditLog(config.audit);
+    this.sessionId = randomUUID();
+    for (const [id, settings] of Object.entries(config.local || {})) {
+      configureProvider(id, settings);
+    }
+    configureProvider("mock", config.mock);
+    this.sandbox = new Sandbox({
+      allowlist: [...config.roots, ...envRoots()],
+      listClientRoots: clientRoots ? () => this.listClientRoots() : undefined,
+    });
+
+    const names = this.toolDefinitions().map((tool) => tool.name);
+    const clash = names.find((name, index) => names.indexOf(name) !== index);
+    if (clash) {
+      throw new Error(
+        `Preset ${clash} clashes with a built-in tool, rename it in ${config.sources.join(" or ")}`
+      );
+    }
+
+    this.server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+      this.sandbox.invalidate();
+    });
+
+    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.logger.setLevel(request.params.level);
+      return {};
+    });
 
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  // Templates and style guides: built-ins, the config's prompts_dir entries,
+  // then IMAGE_MCP_PROMPTS_DIR. Files that don't parse are skipped with a
+  // warning.
+  async promptLibrary() {
+    return await loadPromptLibrary(
+      [
+        ...this.config.promptDirs,
+        ...(process.env.IMAGE_MCP_PROMPTS_DIR ? [process.env.IMAGE_MCP_PROMPTS_DIR] : []),
+      ],
+      { warn: (message) => this.logger.warning(message) }
+    );
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: describeTemplates(await this.promptLibrary()),
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { description, messages } = buildPromptCall(
+        await this.promptLibrary(),
+        request.params.name,
+        request.params.arguments,
+        {
+          tools: this.toolDefinitions().map((tool) => tool.name),
+          needsOutputDir: !this.config.defaults.output_dir,
+        }
+      );
+      return { description, messages };
+    });
+  }
+
+  // file:// roots the client shared, or null when it doesn't support roots
+  async listClientRoots() {
+    if (!this.server.getClientCapabilities()?.roots) return null;
+    const { roots } = await this.server.listRoots(undefined, { timeout: 10000 });
+    return roots
+      .filter((root) => root.uri.startsWith("file://"))
+      .map((root) => fileURLToPath(root.uri));
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const entries = await this.history.list();
       return {
-        tools: [
+        resources: entries.map((entry) => this.history.toResource(entry)),
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
           {
-            name: "generate_ai_image",
-            description: "Generate AI images using the ai-image npm module",
-            inputSchema: {
-              type: "object",
-              properties: {
-                prompt: {
-                  type: "string",
-                  description: "The text prompt for image generation",
-                },
-                size: {
-                  type: "string",
-                  description:
-                    "Image size in format WIDTHxHEIGHT (e.g., 1536x1024)",
-                  default: "1024x1024",
-                },
-                model: {
-                  type: "string",
-                  description: "AI model to use for generation (optional)",
-                },
-                output: {
-                  type: "string",
-                  description: "Output file path (optional)",
-                },
-                output_dir: {
-                  type: "string",
-                  description:
-                    "Absolute path direcotry where to save the image (use current folder root by default)",
-                },
-                quality: {
-                  type: "string",
-                  description:
-                    "Image quality (low, medium, high, auto) - OpenAI only",
-                  default: "high",
-                },
-                uselibincli: {
-                  type: "boolean",
-                  description:
-                    "Use library imports instead of CLI (default: false)",
-                  default: false,
-                },
+            uriTemplate: HISTORY_URI_TEMPLATE,
+            name: "Generated image",
+            description: "An image generated or edited by this server",
+          },
+        ],
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await this.history.read(request.params.uri);
+    });
+  }
+
+  // Tools that call a provider and count against the concurrency limit
+  generationTools() {
+    return ["generate_ai_image", ...this.presets.keys(), "edit_image"];
+  }
+
+  generationToolDefinitions() {
+    const { defaults } = this.config;
+    return [
+      generationTool(
+        "generate_ai_image",
+        "Generate AI images using the ai-image npm module",
+        defaults
+      ),
+      ...[...this.presets].map(
+        ([name, { description, size, aspect_ratio, ...preset }]) =>
+          generationTool(
+            name,
+            description || describePreset(name, { size, aspect_ratio, ...preset }),
+            { ...defaults, ...preset },
+            { size, aspect_ratio }
+          )
+      ),
+    ];
+  }
+
+  // Applies config defaults, and a preset's settings for preset tools, so
+  // handlers and provenance see the arguments that were actually used
+  resolveArguments(name, args) {
+    const preset = this.presets.get(name);
+    if (preset) {
+      return presetArguments(preset, args, this.config.defaults);
+    }
+    if (name === "generate_ai_image") {
+      return withDefaults(args, this.config.defaults);
+    }
+    return args;
+  }
+
+  // Rewrites the prompt with the named style guide; style stays in the
+  // arguments so provenance shows which guide shaped the prompt
+  async withStyle(args) {
+    if (!args.style || !args.prompt) return args;
+    const style = findStyle(await this.promptLibrary(), args.style);
+    return { ...args, prompt: applyStyle(args.prompt, style) };
+  }
+
+  // Refinements are sampled at temperature, so a repeat request reuses the
+  // one kept in the cache: the same prompt lands on the same cached images
+  // instead of a new, billed generation. force asks the model again.
+  async refineForGeneration(args, extra) {
+    const key = refinementKey(args);
+    if (!args.force) {
+      const kept = await this.cache.refinement(key).catch(() => null);
+      if (kept) return { ...kept, reused: true };
+    }
+    const refinement = await refinePrompt(this.server, args.prompt, {
+      ...args,
+      signal: extra.signal,
+    });
+    if (refinement.enhanced) {
+      await this.cache.rememberRefinement(key, refinement).catch((error) => {
+        this.logger.warning(`Could not cache the prompt refinement: ${error.message}`);
+      });
+    }
+    return refinement;
+  }
+
+  // The prompt a generation actually sends: refined by the client's model
+  // when enhance_prompt is set, then styled. Refinement comes first so the
+  // model can't drop what the style guide asks for.
+  async preparePrompt(args, extra) {
+    if (!args.prompt) return { args };
+    const refinement = args.enhance_prompt ? await this.refineForGeneration(args, extra) : null;
+    return {
+      args: await this.withStyle(refinement ? { ...args, prompt: refinement.refined } : args),
+      refinement,
+    };
+  }
+
+  toolDefinitions() {
+    return [
+      ...this.generationToolDefinitions(),
+      {
+        name: "generate_batch",
+        description:
+          "Generate many images in one call from a list of specs or a JSON/YAML manifest, with bounded concurrency and a per-item success/failure report",
+        inputSchema: {
+          type: "object",
+          properties: {
+            items: {
+              type: "array",
+              description:
+                "Specs to generate, each with its own prompt, size, model and output name",
+              items: {
+                type: "object",
+                properties: BATCH_ITEM_PROPERTIES,
+                required: ["prompt"],
               },
-              required: ["prompt", "output_dir"],
+            },
+            manifest: {
+              type: "string",
+              description:
+                "Absolute path of a JSON or YAML manifest: a list of specs, or { defaults, items }. Relative output_dir values resolve against the manifest's folder",
+            },
+            output_dir: {
+              type: "string",
+              description:
+                "Absolute path directory for items that don't set their own",
+            },
+            concurrency: {
+              type: "number",
+              description:
+                "How many items to run at once (default: the server's concurrency limit, which still applies)",
             },
           },
-          {
-            name: "square_image",
-            description:
-              "Generate a square AI image (1024x1024) - shortcut for generate_ai_image",
-            inputSchema: {
-              type: "object",
-              properties: {
-                prompt: {
-                  type: "string",
-                  description: "The text prompt for image generation",
-                },
-                model: {
-                  type: "string",
-                  description: "AI model to use for generation (optional)",
-                },
-                output: {
-                  type: "string",
-                  description: "Output file path (optional)",
-                },
-                output_dir: {
-                  type: "string",
-                  description:
-                    "Absolute path direcotry where to save the image (use current folder root by default)",
-                },
-                quality: {
-                  type: "string",
-                  description:
-                    "Image quality (low, medium, high, auto) - OpenAI only",
-                  default: "high",
-                },
-                uselibincli: {
-                  type: "boolean",
-                  description: "Use library imports instead of CLI (default: false)",
-                  default: false,
-                },
-              },
-              required: ["prompt", "output_dir"],
+          required: [],
+        },
+        outputSchema: BATCH_OUTPUT_SCHEMA,
+      },
+      {
+        name: "generate_from_markdown",
+        description:
+          'Fill image placeholders in a Markdown/MDX file or folder: generates each ![alt](generate:"prompt" size=landscape) and frontmatter cover_prompt into an assets folder and rewrites the links to the saved files. Already-filled placeholders are skipped, so it is safe to run again',
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description:
+                "Absolute path of a .md, .mdx or .markdown file, or a folder to scan recursively",
+            },
+            assets_dir: {
+              type: "string",
+              description:
+                "Absolute path of the folder for generated images (default: an assets folder next to each file)",
+            },
+            model: {
+              type: "string",
+              description: "Model for placeholders that don't set model=",
+            },
+            provider: {
+              type: "string",
+              description: "Provider for placeholders that don't set provider=",
+            },
+            quality: {
+              type: "string",
+              description: "Quality for placeholders that don't set quality=",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "List what would be generated without generating or editing anything",
+              default: false,
+            },
+            concurrency: {
+              type: "number",
+              description:
+                "How many images to generate at once (default: the server's concurrency limit, which still applies)",
             },
           },
-          {
-            name: "landscape_image",
-            description:
-              "Generate a landscape AI image (1536x1024) - works great for cover images - shortcut for generate_ai_image",
-            inputSchema: {
-              type: "object",
-              properties: {
-                prompt: {
-                  type: "string",
-                  description: "The text prompt for image generation",
-                },
-                model: {
-                  type: "string",
-                  description: "AI model to use for generation (optional)",
-                },
-                output: {
-                  type: "string",
-                  description: "Output filename (optional), must end in .png",
-                },
-                output_dir: {
-                  type: "string",
-                  description:
-                    "Absolute path direcotry where to save the image (use current folder, or one that make sense for assets)",
-                },
-                quality: {
-                  type: "string",
-                  description:
-                    "Image quality (low, medium, high, auto) - OpenAI only",
-                  default: "high",
-                },
-                uselibincli: {
-                  type: "boolean",
-                  description: "Use library imports instead of CLI (default: false)",
-                  default: false,
-                },
-              },
-              required: ["prompt", "output_dir"],
+          required: ["path"],
+        },
+        outputSchema: MARKDOWN_OUTPUT_SCHEMA,
+      },
+      {
+        name: "generate_icon_set",
+        description:
+          "Make a full favicon and app icon set from a square generation or an existing image: favicon.ico, apple-touch-icon, Android/PWA icons with maskable variants, site.webmanifest and the HTML <link> tags, in one folder",
+        inputSchema: {
+          type: "object",
+          properties: {
+            prompt: {
+              type: "string",
+              description:
+                "What the icon shows, generated as a 1024x1024 image (use this or image)",
+            },
+            image: {
+              type: "string",
+              description:
+                "Absolute path of an existing image to use instead of generating one; non-square images are padded, not cropped",
+            },
+            output_dir: {
+              type: "string",
+              description: "Absolute path of the folder for the set, e.g. the site's public folder",
+            },
+            source_dir: {
+              type: "string",
+              description:
+                "Absolute path of the folder for the generated source image, kept out of output_dir so it isn't deployed (default: .image-mcp/icon-sources in the first allowed root)",
+            },
+            name: {
+              type: "string",
+              description: "App name for site.webmanifest (default: App)",
+            },
+            short_name: {
+              type: "string",
+              description: "Short name for home screens (default: name)",
+            },
+            base_path: {
+              type: "string",
+              description: "URL path the icons are served from, used in the manifest and <link> tags (default: /)",
             },
+            background_color: {
+              type: "string",
+              description:
+                "Hex color behind the apple-touch and maskable icons, and the manifest background (default: the image's corner color)",
+            },
+            theme_color: {
+              type: "string",
+              description: "Hex color for the manifest and theme-color meta tag (default: background_color)",
+            },
+            model: { type: "string", description: "Model for the generation (optional)" },
+            provider: { type: "string", description: "Provider for the generation (optional)" },
+            quality: { type: "string", description: "Quality for the generation (optional)" },
+            ...IMAGE_RESULT_PROPERTIES,
           },
-          {
-            name: "portrait_image",
-            description:
-              "Generate a portrait AI image (1024x1536) - shortcut for generate_ai_image",
-            inputSchema: {
-              type: "object",
-              properties: {
-                prompt: {
-                  type: "string",
-                  description: "The text prompt for image generation",
-                },
-                model: {
-                  type: "string",
-                  description: "AI model to use for generation (optional)",
-                },
-                output: {
-                  type: "string",
-                  description: "Output file path (optional)",
-                },
-                output_dir: {
-                  type: "string",
-                  description:
-                    "Absolute path direcotry where to save the image (use current folder root by default)",
-                },
-                quality: {
-                  type: "string",
-                  description:
-                    "Image quality (low, medium, high, auto) - OpenAI only",
-                  default: "high",
-                },
-                uselibincli: {
-                  type: "boolean",
-                  description: "Use library imports instead of CLI (default: false)",
-                  default: false,
-                },
-              },
-              required: ["prompt", "output_dir"],
+          required: [],
+        },
+        outputSchema: ICON_SET_OUTPUT_SCHEMA,
+      },
+      {
+        name: "compare_models",
+        description: `Run a prompt, or a few variations of it, across several models and qualities in parallel and lay the results out as one labelled contact sheet, with model, time and cost under each image. Up to ${MAX_COMPARE_CELLS} images per call`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            prompt: { type: "string", description: "The prompt to compare on" },
+            prompts: {
+              type: "array",
+              items: { type: "string" },
+              description: "Prompt variations, one row each (in addition to prompt)",
+            },
+            models: {
+              type: "array",
+              items: { type: "string" },
+              description: "Models to compare, one column each (see list_models)",
+            },
+            qualities: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Qualities to try with every model, e.g. [\"low\", \"high\"] (optional, each model's default otherwise)",
+            },
+            size: {
+              type: "string",
+              description: "Image size WIDTHxHEIGHT for every cell (optional)",
+            },
+            aspect_ratio: {
+              type: "string",
+              description: "Aspect ratio for every cell, instead of size (optional)",
+            },
+            output_dir: {
+              type: "string",
+              description: "Absolute path directory for the contact sheet and the individual images",
+            },
+            cell_width: {
+              type: "number",
+              description: `Width of each image on the contact sheet (default: ${DEFAULT_CELL_WIDTH})`,
+            },
+            concurrency: {
+              type: "number",
+              description:
+                "How many generations to run at once (default: the server's concurrency limit, which still applies)",
             },
+            force: {
+              type: "boolean",
+              description: "Generate new images even when the cache has them (default: false)",
+            },
+            ...IMAGE_RESULT_PROPERTIES,
           },
-          {
-            name: "pizza-test",
-            description: "Mock test tool that returns a password",
-            inputSchema: {
+          required: ["models"],
+        },
+        outputSchema: COMPARE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "edit_image",
+        description:
+          "Edit an existing image with a prompt: image-to-image, inpainting with a mask, or keeping a subject consistent with reference images. Use list_models to see which models support edits",
+        inputSchema: {
+          type: "object",
+          properties: {
+            prompt: {
+              type: "string",
+              description: "What to change, e.g. 'replace the background with a beach'",
+            },
+            image: {
+              type: "string",
+              description: "Absolute path of the image to edit",
+            },
+            mask: {
+              type: "string",
+              description:
+                "Absolute path of a mask image (optional). White, or transparent, areas are edited; it is scaled to the source image",
+            },
+            reference_images: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Absolute paths of reference images, e.g. a mascot to keep consistent (optional)",
+            },
+            model: {
+              type: "string",
+              description:
+                "Editing model (optional, picked from the configured providers that support the inputs)",
+            },
+            provider: {
+              type: "string",
+              description: "Provider to route to (optional)",
+            },
+            size: {
+              type: "string",
+              description:
+                "Output size WIDTHxHEIGHT (optional, defaults to what the provider returns). Extends or crops the canvas locally when the provider can't produce it",
+            },
+            fit: {
+              type: "string",
+              enum: FIT_MODES,
+              description:
+                "How to reach an exact size: cover crops, contain letterboxes, fill stretches",
+              default: "cover",
+            },
+            quality: {
+              type: "string",
+              description:
+                "Image quality (low, medium, high, auto) - OpenAI only",
+            },
+            output: {
+              type: "string",
+              description: "Output file name without directories (optional)",
+            },
+            output_dir: {
+              type: "string",
+              description:
+                "Absolute path directory where to save the result (default: the source image's directory)",
+            },
+            optimize: OPTIMIZE_PROPERTY,
+            alt_text: ALT_TEXT_PROPERTY,
+            ...IMAGE_RESULT_PROPERTIES,
+          },
+          required: ["prompt", "image"],
+        },
+        outputSchema: IMAGE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "resize_image",
+        description:
+          "Resize a local image, optionally converting it (webp, avif, jpeg, png)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            input: {
+              type: "string",
+              description: "Absolute path of the image to resize",
+            },
+            output: {
+              type: "string",
+              description:
+                "Output path, absolute or relative to the input (default: <name>-<width>x<height>.<ext> next to the input)",
+            },
+            width: {
+              type: "number",
+              description: "Target width in pixels",
+            },
+            height: {
+              type: "number",
+              description: "Target height in pixels",
+            },
+            fit: {
+              type: "string",
+              enum: ["inside", "cover", "contain", "fill", "outside"],
+              description:
+                "How to fit both dimensions: inside keeps the aspect ratio and never enlarges (default), cover crops, contain letterboxes, fill stretches",
+              default: "inside",
+            },
+            ...ENCODE_PROPERTIES,
+            ...IMAGE_RESULT_PROPERTIES,
+          },
+          required: ["input"],
+        },
+        outputSchema: IMAGE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "crop_image",
+        description:
+          "Crop a local image to a pixel region or to an aspect ratio around a gravity point",
+        inputSchema: {
+          type: "object",
+          properties: {
+            input: {
+              type: "string",
+              description: "Absolute path of the image to crop",
+            },
+            output: {
+              type: "string",
+              description:
+                "Output path, absolute or relative to the input (default: <name>-cropped.<ext> next to the input)",
+            },
+            left: { type: "number", description: "Left edge of the region" },
+            top: { type: "number", description: "Top edge of the region" },
+            width: { type: "number", description: "Width of the region" },
+            height: { type: "number", description: "Height of the region" },
+            aspect_ratio: {
+              type: "string",
+              description:
+                "Crop the largest region with this ratio (e.g. 16:9) instead of a pixel region",
+            },
+            gravity: {
+              type: "string",
+              description:
+                "Where to keep when cropping to an aspect ratio: centre, north, south, east, west, northeast..., attention or entropy (default: centre)",
+              default: "centre",
+            },
+            ...ENCODE_PROPERTIES,
+            ...IMAGE_RESULT_PROPERTIES,
+          },
+          required: ["input"],
+        },
+        outputSchema: IMAGE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "convert_image",
+        description:
+          "Convert and compress a local image to webp, avif, jpeg or png",
+        inputSchema: {
+          type: "object",
+          properties: {
+            input: {
+              type: "string",
+              description: "Absolute path of the image to convert",
+            },
+            output: {
+              type: "string",
+              description:
+                "Output path, absolute or relative to the input (default: same name with the new extension)",
+            },
+            ...ENCODE_PROPERTIES,
+            ...IMAGE_RESULT_PROPERTIES,
+          },
+          required: ["input", "format"],
+        },
+        outputSchema: IMAGE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "start_image_job",
+        description:
+          "Start a generation or edit in the background and return a job id at once. Poll get_image_job for progress and the result",
+        inputSchema: {
+          type: "object",
+          properties: {
+            tool: {
+              type: "string",
+              enum: this.generationTools(),
+              description: "Tool to run (default: generate_ai_image)",
+              default: "generate_ai_image",
+            },
+            arguments: {
               type: "object",
-              properties: {},
-              required: [],
+              description: "Arguments for that tool, as you would pass them directly",
+            },
+          },
+          required: ["arguments"],
+        },
+        outputSchema: JOB_OUTPUT_SCHEMA,
+      },
+      {
+        name: "get_image_job",
+        description:
+          "Get the state, progress and, once finished, the result of an image job",
+        inputSchema: {
+          type: "object",
+          properties: {
+            job_id: { type: "string", description: "Id returned by start_image_job" },
+          },
+          required: ["job_id"],
+        },
+        outputSchema: JOB_OUTPUT_SCHEMA,
+      },
+      {
+        name: "list_image_jobs",
+        description: "List recent image jobs and the queue status",
+        inputSchema: {
+          type: "object",
+          properties: {
+            state: {
+              type: "string",
+              enum: JOB_STATES,
+              description: "Only list jobs in this state (optional)",
+            },
+          },
+          required: [],
+        },
+        outputSchema: JOB_LIST_OUTPUT_SCHEMA,
+      },
+      {
+        name: "cancel_image_job",
+        description:
+          "Cancel a queued or running image job; partial files are removed",
+        inputSchema: {
+          type: "object",
+          properties: {
+            job_id: { type: "string", description: "Id returned by start_image_job" },
+          },
+          required: ["job_id"],
+        },
+        outputSchema: JOB_OUTPUT_SCHEMA,
+      },
+      {
+        name: "get_image_info",
+        description:
+          "Read how an image was made (prompt, provider, model, size, quality, seed, timestamp) from its sidecar, the folder manifest or embedded PNG metadata",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute path of the image",
+            },
+          },
+          required: ["path"],
+        },
+        outputSchema: IMAGE_INFO_OUTPUT_SCHEMA,
+      },
+      {
+        name: "refine_prompt",
+        description:
+          "Preview how enhance_prompt would rewrite a prompt, using the client's model through sampling. Nothing is generated",
+        inputSchema: {
+          type: "object",
+          properties: {
+            prompt: { type: "string", description: "The prompt to refine" },
+            style: {
+              type: "string",
+              description: "Style guide the generation will use; the rewrite leaves style choices to it",
+            },
+            size: { type: "string", description: "Planned size WIDTHxHEIGHT (optional)" },
+            aspect_ratio: { type: "string", description: "Planned aspect ratio (optional)" },
+            context: {
+              type: "string",
+              description: "Where the image will be used, e.g. 'cover for a post on database caching'",
+            },
+          },
+          required: ["prompt"],
+        },
+        outputSchema: REFINE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "describe_image",
+        description:
+          "Caption a local image and write alt text for it, with optional tags. Use it to check what a generation actually shows when you can't see images",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Absolute path of the image",
+            },
+            tags: {
+              type: "boolean",
+              description: "Also return 3 to 10 keywords (default: false)",
+              default: false,
+            },
+            context: {
+              type: "string",
+              description:
+                "What the image is for, e.g. \"cover for a post about sourdough\", to make the alt text fit (optional)",
+            },
+          },
+          required: ["path"],
+        },
+        outputSchema: DESCRIBE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "list_models",
+        description:
+          "List image providers, whether their API key is configured, and the sizes, qualities and options each model supports",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+        outputSchema: LIST_MODELS_OUTPUT_SCHEMA,
+      },
+      {
+        name: "get_usage",
+        description:
+          "Show estimated spend on image generation from the usage ledger, grouped by day, session, project, provider or model, with the configured budgets",
+        inputSchema: {
+          type: "object",
+          properties: {
+            group_by: {
+              type: "string",
+              enum: USAGE_GROUPS,
+              description: "How to group the report (default: day)",
+              default: "day",
+            },
+            days: {
+              type: "number",
+              description: "How many days back to look (default: 30)",
+              default: 30,
+            },
+            scope: {
+              type: "string",
+              enum: ["all", "session", "project"],
+              description:
+                "Only this MCP session, only the current project (first allowed root), or everything in the ledger (default: all)",
+              default: "all",
+            },
+          },
+        },
+        outputSchema: USAGE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "get_audit_log",
+        description:
+          "Look up past tool calls in the audit log: which tool ran with what arguments, how long it took, whether it succeeded and which files it wrote. Newest first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            tool: { type: "string", description: "Only calls to this tool" },
+            outcome: {
+              type: "string",
+              enum: AUDIT_OUTCOMES,
+              description: "Only calls that ended this way",
+            },
+            session: {
+              type: "string",
+              description: "Only calls from this session id, or \"current\" for this MCP session",
+            },
+            since: {
+              type: "string",
+              description: "Only calls from this ISO date or timestamp on, e.g. 2025-01-31",
+            },
+            until: {
+              type: "string",
+              description: "Only calls up to this ISO date (inclusive) or timestamp",
+            },
+            limit: {
+              type: "number",
+              description: "How many entries to return (default: 50)",
+              default: 50,
+            },
+          },
+        },
+        outputSchema: AUDIT_OUTPUT_SCHEMA,
+      },
+      {
+        name: "clear_cache",
+        description:
+          "Delete cached generations, all of them or only those not used for some days. Images already saved to output directories are kept",
+        inputSchema: {
+          type: "object",
+          properties: {
+            older_than_days: {
+              type: "number",
+              description: "Only remove entries not used in this many days (default: remove everything)",
             },
           },
+        },
+        outputSchema: CLEAR_CACHE_OUTPUT_SCHEMA,
+      },
+      {
+        name: "diagnose",
+        description:
+          "Check the server setup: which providers have keys (masked), which directories images may be written to and whether they are writable, and which config files were loaded",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+        outputSchema: DIAGNOSE_OUTPUT_SCHEMA,
+      },
+    ];
+  }
+
+  setupToolHandlers() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.toolDefinitions() };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return await this.auditedCall(
+        request.params.name,
+        request.params.arguments || {},
+        extra
+      );
+    });
+  }
+
+  // Runs a call the client made, or a job started, and appends it to the
+  // audit log however it ends. Calls tools make on their own behalf, like a
+  // batch's generations, show up in the parent's outputs instead.
+  async auditedCall(name, args, extra = {}, { job_id } = {}) {
+    const startedAt = Date.now();
+    const entry = {
+      at: new Date(startedAt).toISOString(),
+      session: this.sessionId,
+      tool: name,
+      ...(job_id && { job_id }),
+      params: args,
+    };
+    try {
+      const result = await this.callTool(name, args, extra);
+      const paths = outputPaths(result?.structuredContent);
+      const cost = result?.structuredContent?.cost;
+      Object.assign(entry, {
+        outcome: result?.isError ? "error" : "success",
+        ...(paths.length && { paths }),
+        ...(typeof cost === "number" && { cost }),
+      });
+      return result;
+    } catch (error) {
+      Object.assign(entry, {
+        outcome:
+          extra.signal?.aborted || error instanceof CancelledError ? "cancelled" : "error",
+        error: error.message.replace(/^MCP error -?\d+: /, ""),
+      });
+      throw error;
+    } finally {
+      entry.duration_ms = Date.now() - startedAt;
+      this.logger.debug(`${name} ${entry.outcome} in ${entry.duration_ms}ms`);
+      await this.audit.append(entry).catch((error) => {
+        this.logger.error(`Could not write the audit log: ${error.message}`);
+      });
+    }
+  }
+
+  // Arguments with defaults applied and, for generations, the prompt refined
+  // and styled. Refinement waits on the client's model, so this runs before
+  // a generation slot is taken.
+  async prepareCall(name, args, extra) {
+    const resolved = this.resolveArguments(name, args);
+    return this.generationTools().includes(name)
+      ? await this.preparePrompt(resolved, extra)
+      : { args: resolved };
+  }
+
+  async callTool(name, args, extra = {}) {
+    const billable = this.generationTools().includes(name);
+    const prepared = extra.prepared || (await this.prepareCall(name, args, extra));
+    // Generations share one concurrency limit, whether called directly or
+    // from a job, so parallel agent calls queue instead of hitting rate limits
+    if (billable && !extra.limited) {
+      return await this.limiter.run(
+        () => this.callTool(name, args, { ...extra, prepared, limited: true }),
+        { signal: extra.signal }
+      );
+    }
+    extra.onStart?.();
+
+    const { args: resolved, refinement } = prepared;
+    // Refuses the call up front when it would go over a budget
+    const reserve = async (callArgs) =>
+      await this.usage.reserve({
+        session: this.sessionId,
+        ...(await this.estimateCost(name, callArgs)),
+      });
+    let release = billable ? await reserve(resolved) : null;
+    let result;
+    try {
+      result = await this.dispatchTool(name, resolved, {
+        ...extra,
+        // Failover moves the hold from the model that failed to the fallback
+        // about to be tried, which may cost more; throws when it can't
+        ...(billable && {
+          rebudget: async (callArgs) => {
+            release?.();
+            release = null;
+            release = await reserve(callArgs);
+          },
+        }),
+      });
+      if (billable) {
+        await this.recordUsage(name, result);
+      }
+    } finally {
+      release?.();
+    }
+    if (refinement && result?.structuredContent) {
+      result.structuredContent.prompt_refinement = refinement;
+      const text = result.content.find((item) => item.type === "text");
+      if (text) {
+        text.text += refinement.enhanced
+          ? `\nPrompt refined from: ${refinement.original}\nRefined prompt${
+              refinement.reused ? " (reused from an identical earlier request)" : ""
+            }: ${refinement.refined}`
+          : `\n${refinement.note}`;
+      }
+    }
+    if (resolved.alt_text && result?.structuredContent?.paths?.length) {
+      await this.attachAltText(result, extra);
+    }
+    await this.recordOutputs(name, resolved, result);
+    if (this.imageBaseUrl) {
+      this.linkOverHttp(result);
+    }
+    return result;
+  }
+
+  // Expected price of a generation, for the budget check, and the model it
+  // routes to. Requests that don't resolve count as free here; they fail with
+  // the real error in the handler. cost is null for a model without a price.
+  async estimateCost(name, args) {
+    try {
+      if (name === "edit_image") {
+        const { provider, model, modelInfo } = resolveEditModel({
+          ...args,
+          references: args.reference_images || [],
+        });
+        const quality = resolveQuality(modelInfo, args.quality);
+        return {
+          model: `${provider.id}/${model}`,
+          cost: this.usage.priceFor(model, modelInfo, { quality, size: args.size }, provider),
+        };
+      }
+
+      const { provider, model, modelInfo } = resolveProvider(args);
+      const quality = resolveQuality(modelInfo, args.quality ?? "high");
+      const { providerSize } = planSize(args, modelInfo);
+      const count = args.uselibincli ? 1 : resolveCount(modelInfo, args.count);
+      const key = cacheKey({
+        provider: provider.id,
+        model,
+        prompt: args.prompt,
+        size: providerSize,
+        quality,
+        options: requestOptions(args),
+      });
+      const label = `${provider.id}/${model}`;
+      if (!args.force && args.prompt && (await this.cache.lookup(key, count))) {
+        return { model: label, cost: 0 };
+      }
+      const price = this.usage.priceFor(model, modelInfo, { quality, size: providerSize }, provider);
+      return { model: label, cost: price === null ? null : price * count };
+    } catch {
+      return { cost: 0 };
+    }
+  }
+
+  // Appends a generation to the usage ledger and reports its cost
+  async recordUsage(name, result) {
+    const structuredContent = result?.structuredContent;
+    if (!structuredContent?.paths?.length) return;
+
+    const { provider: providerId, model, quality, cached } = structuredContent;
+    const size = structuredContent.generated_size || structuredContent.size;
+    const provider = getProvider(providerId);
+    const modelInfo = provider && findModel(provider, model);
+    const images = structuredContent.paths.length;
+    const price = this.usage.priceFor(model, modelInfo, { quality, size }, provider);
+    const cost = cached ? 0 : price === null ? null : price * images;
+
+    const [root] = await this.sandbox.roots().catch(() => []);
+    try {
+      await this.usage.append({
+        at: new Date().toISOString(),
+        session: this.sessionId,
+        ...(root && { project: root.path }),
+        tool: name,
+        provider: providerId,
+        model,
+        ...(quality && { quality }),
+        ...(size && { size }),
+        images,
+        cost,
+        ...(cached && { cached: true }),
+      });
+    } catch (error) {
+      this.logger.error(`Could not write the usage ledger: ${error.message}`);
+    }
+
+    if (cost !== null) {
+      structuredContent.cost = cost;
+      const text = result.content.find((item) => item.type === "text");
+      if (text) {
+        text.text += `\nEstimated cost: $${cost.toFixed(4)}`;
+      }
+    }
+  }
+
+  // Points file:// resource links at the HTTP image route, for clients that
+  // don't share this server's filesystem
+  linkOverHttp(result) {
+    for (const item of result?.content || []) {
+      if (item.type !== "resource_link" || !item.uri.startsWith("file://")) {
+        continue;
+      }
+      const entry = this.history.find(item.uri);
+      if (entry) {
+        item.uri = `${this.imageBaseUrl}/${entry.id}/${encodeURIComponent(item.name)}`;
+      }
+    }
+  }
+
+  // Stamps provenance on every file a tool wrote and adds it to the history
+  async recordOutputs(name, args, result) {
+    const structuredContent = result?.structuredContent;
+    // Icon sets go straight into a public folder, where sidecars and embedded
+    // metadata would publish the prompt; the source image keeps the record
+    const files =
+      name === "generate_icon_set"
+        ? []
+        : [
+            ...(structuredContent?.paths || []),
+            ...(structuredContent?.variants || []).map((variant) => variant.path),
+          ];
+    for (const filePath of files) {
+      try {
+        await writeProvenance(
+          filePath,
+          buildProvenance(name, args, structuredContent, filePath)
+        );
+      } catch (error) {
+        this.logger.warning(`Could not record provenance for ${filePath}: ${error.message}`);
+      }
+    }
+
+    if (!this.history.record(name, args, structuredContent).length) {
+      return;
+    }
+    this.server.sendResourceListChanged().catch((error) => {
+      log("warning", `Failed to send resources/list_changed: ${error.message}`);
+    });
+  }
+
+  async dispatchTool(name, args, extra) {
+    if (name === "generate_ai_image" || this.presets.has(name)) {
+      return await this.handleGenerateImage(args, extra);
+    } else if (name === "generate_batch") {
+      return await this.handleGenerateBatch(args, extra);
+    } else if (name === "generate_from_markdown") {
+      return await this.handleGenerateFromMarkdown(args, extra);
+    } else if (name === "generate_icon_set") {
+      return await this.handleGenerateIconSet(args, extra);
+    } else if (name === "compare_models") {
+      return await this.handleCompareModels(args, extra);
+    } else if (name === "edit_image") {
+      return await this.handleEditImage(args, extra);
+    } else if (name === "resize_image") {
+      return await this.handleImageOperation(resizeImage, args);
+    } else if (name === "crop_image") {
+      return await this.handleImageOperation(cropImage, args);
+    } else if (name === "convert_image") {
+      return await this.handleImageOperation(convertImage, args);
+    } else if (name === "start_image_job") {
+      return await this.handleStartImageJob(args);
+    } else if (name === "get_image_job") {
+      return await this.handleGetImageJob(args);
+    } else if (name === "list_image_jobs") {
+      return await this.handleListImageJobs(args);
+    } else if (name === "cancel_image_job") {
+      return await this.handleCancelImageJob(args);
+    } else if (name === "get_image_info") {
+      return await this.handleGetImageInfo(args);
+    } else if (name === "refine_prompt") {
+      return await this.handleRefinePrompt(args, extra);
+    } else if (name === "describe_image") {
+      return await this.handleDescribeImage(args, extra);
+    } else if (name === "list_models") {
+      return await this.handleListModels();
+    } else if (name === "get_usage") {
+      return await this.handleGetUsage(args);
+    } else if (name === "get_audit_log") {
+      return await this.handleGetAuditLog(args);
+    } else if (name === "clear_cache") {
+      return await this.handleClearCache(args);
+    } else if (name === "diagnose") {
+      return await this.handleDiagnose();
+    } else {
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown tool: ${name}`
+      );
+    }
+  }
+
+  findJob(job_id) {
+    const job = this.jobs.get(job_id);
+    if (!job) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown job: ${job_id}`);
+    }
+    return job;
+  }
+
+  jobResult(job, text) {
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: describeJob(job),
+    };
+  }
+
+  async handleStartImageJob({ tool = "generate_ai_image", arguments: toolArgs }) {
+    if (!this.generationTools().includes(tool)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Jobs can run ${this.generationTools().join(", ")}, not ${tool}`
+      );
+    }
+    if (!toolArgs || typeof toolArgs !== "object") {
+      throw new McpError(ErrorCode.InvalidParams, "Job arguments are required");
+    }
+
+    // Runs the whole call, refinement included, so a job that fails before
+    // it gets a slot is in the audit log too
+    const job = this.jobs.start(tool, toolArgs, (extra) =>
+      this.auditedCall(tool, toolArgs, extra, { job_id: job.id })
+    );
+    return this.jobResult(
+      job,
+      [
+        `Started job ${job.id} (${tool}).`,
+        ...(this.limiter.pending
+          ? [`${this.limiter.pending} job(s) ahead in the queue.`]
+          : []),
+        "Poll get_image_job for progress and the result.",
+      ].join(" ")
+    );
+  }
+
+  async handleGetImageJob({ job_id }) {
+    const job = this.findJob(job_id);
+    if (job.state === "succeeded") {
+      return {
+        content: [
+          { type: "text", text: `Job ${job.id} succeeded.` },
+          ...job.result.content,
         ],
+        structuredContent: describeJob(job),
       };
+    }
+
+    const progress = job.progress?.message ? ` - ${job.progress.message}` : "";
+    return this.jobResult(
+      job,
+      `Job ${job.id} is ${job.state}${progress}${job.error ? `: ${job.error}` : ""}`
+    );
+  }
+
+  async handleListImageJobs({ state } = {}) {
+    const jobs = this.jobs.list({ state }).map(describeJob);
+    const lines = jobs.map(
+      (job) =>
+        `${job.job_id} ${job.tool} ${job.state}${
+          job.progress?.message ? ` - ${job.progress.message}` : ""
+        }`
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: [
+            `${this.limiter.active} running, ${this.limiter.pending} queued (concurrency ${this.limiter.concurrency})`,
+            ...lines,
+          ].join("\n"),
+        },
+      ],
+      structuredContent: {
+        jobs,
+        running: this.limiter.active,
+        queued: this.limiter.pending,
+        concurrency: this.limiter.concurrency,
+      },
+    };
+  }
+
+  async handleCancelImageJob({ job_id }) {
+    const job = this.jobs.cancel(this.findJob(job_id).id);
+    return this.jobResult(
+      job,
+      ["queued", "running"].includes(job.state)
+        ? `Cancelling job ${job.id}`
+        : `Job ${job.id} already ${job.state}`
+    );
+  }
+
+  async handleGetAuditLog({ tool, outcome, session, since, until, limit = 50 }) {
+    if (!this.audit.enabled) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        "The audit log is off; set audit_log in the config or IMAGE_MCP_AUDIT_LOG to turn it on"
+      );
+    }
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `outcome must be one of ${AUDIT_OUTCOMES.join(", ")}`
+      );
+    }
+    for (const [label, value] of Object.entries({ since, until })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        throw new McpError(ErrorCode.InvalidParams, `${label} must be an ISO date or timestamp`);
+      }
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new McpError(ErrorCode.InvalidParams, "limit must be a positive whole number");
+    }
+
+    const { entries, matched } = await this.audit.query({
+      tool,
+      outcome,
+      session: session === "current" ? this.sessionId : session,
+      since,
+      until,
+      limit,
+    });
+    const lines = entries.map(
+      (entry) =>
+        `${entry.at} ${entry.tool}${entry.job_id ? ` (job ${entry.job_id})` : ""} ${entry.outcome} in ${entry.duration_ms}ms${
+          entry.paths?.length ? ` - ${entry.paths.join(", ")}` : ""
+        }${entry.error ? ` - ${entry.error}` : ""}`
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: [
+            `${matched} matching call(s) in ${this.audit.path}${
+              matched > entries.length ? `, showing the newest ${entries.length}` : ""
+            }`,
+            ...lines,
+          ].join("\n"),
+        },
+      ],
+      structuredContent: { entries, matched, log: this.audit.path },
+    };
+  }
+
+  async handleGetUsage({ group_by = "day", days = 30, scope = "all" }) {
+    if (!USAGE_GROUPS.includes(group_by)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `group_by must be one of ${USAGE_GROUPS.join(", ")}`
+      );
+    }
+    const [root] = await this.sandbox.roots();
+    const report = await this.usage.summarize({
+      group_by,
+      days,
+      ...(scope === "session" && { session: this.sessionId }),
+      ...(scope === "project" && { project: root.path }),
+    });
+    const spent = await this.usage.spent(this.sessionId);
+    const { session_usd, daily_usd } = this.usage.budgets;
+    const budgets = {
+      ...(session_usd !== undefined && { session_usd }),
+      ...(daily_usd !== undefined && { daily_usd }),
+      session_spent: spent.session,
+      daily_spent: spent.daily,
+    };
+
+    const limit = (value) => (value === undefined ? "no budget" : `budget $${value.toFixed(2)}`);
+    const lines = [
+      `Estimated spend over the last ${days} days${scope === "all" ? "" : ` (${scope})`}: $${report.total_cost.toFixed(4)} for ${report.images} images in ${report.generations} generations`,
+      `This session: $${spent.session.toFixed(4)} (${limit(session_usd)}); today: $${spent.daily.toFixed(4)} (${limit(daily_usd)})`,
+      "",
+      ...report.groups.map(
+        (group) =>
+          `${group.key}: $${group.cost.toFixed(4)} - ${group.images} images, ${group.generations} generations${
+            group.cached ? `, ${group.cached} from cache` : ""
+          }${group.unpriced ? `, ${group.unpriced} unpriced` : ""}`
+      ),
+    ];
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      structuredContent: { ...report, budgets, ledger: this.usage.path },
+    };
+  }
+
+  async handleClearCache({ older_than_days }) {
+    const result = await this.cache.clear({ olderThanDays: older_than_days });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Removed ${result.removed} cache entries (${result.bytes_freed} bytes) from ${this.cache.dir}; ${result.remaining} left (${result.remaining_bytes} bytes)`,
+        },
+      ],
+      structuredContent: { dir: this.cache.dir, ...result },
+    };
+  }
+
+  async handleDiagnose() {
+    const providers = listProviders().map((provider) => ({
+      id: provider.id,
+      configured: isConfigured(provider),
+      ...(provider.envKey && {
+        env_key: provider.envKey,
+        key: maskSecret(getApiKey(provider)),
+      }),
+      ...(provider.env?.url && {
+        url_env: provider.env.url,
+        url: providerSettings(provider).url || null,
+      }),
+    }));
+    const roots = await this.sandbox.describe();
+    const vision = visionSettings(this.config.vision);
+    const report = {
+      version: SERVER_VERSION,
+      providers,
+      roots,
+      vision: {
+        base_url: vision.baseUrl,
+        model: vision.model,
+        ...(vision.keyEnv && { env_key: vision.keyEnv }),
+        key: maskSecret(vision.apiKey),
+      },
+      config_files: this.config.sources,
+      presets: [...this.presets.keys()],
+      cache: { dir: this.cache.dir, enabled: this.cache.enabled },
+      concurrency: this.limiter.concurrency,
+      node: process.version,
+      platform: `${process.platform}-${process.arch}`,
+      cwd: process.cwd(),
+    };
+
+    const lines = [
+      `image-mcp ${SERVER_VERSION} on Node ${process.version} (${report.platform})`,
+      "",
+      "Providers:",
+      ...providers.map(
+        (provider) =>
+          `  ${provider.configured ? "✅" : "❌"} ${provider.id}${
+            provider.env_key
+              ? ` - ${provider.env_key} ${provider.key ? `set (${provider.key})` : "not set"}`
+              : provider.url_env
+                ? ` - ${provider.url || `${provider.url_env} not set`}`
+                : ""
+          }`
+      ),
+      "",
+      `Allowed roots (${ROOT_SOURCES[roots[0]?.source]}):`,
+      ...roots.map(
+        (root) =>
+          `  ${root.writable ? "✅" : "❌"} ${root.path}${root.resolved ? ` -> ${root.resolved}` : ""} - ${
+            root.writable ? "writable" : root.exists ? "read-only" : "missing"
+          }`
+      ),
+      "",
+      `Config files: ${this.config.sources.join(", ") || "none"}`,
+      `Presets: ${report.presets.join(", ") || "none"}`,
+      `Cache: ${this.cache.enabled ? this.cache.dir : "off"}`,
+      `Vision: ${vision.model} at ${vision.baseUrl}${
+        vision.keyEnv ? `, ${vision.keyEnv} ${vision.apiKey ? "set" : "not set"}` : ""
+      }`,
+      `Concurrency: ${this.limiter.concurrency}`,
+      `Working directory: ${report.cwd}`,
+    ];
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      structuredContent: report,
+    };
+  }
+
+  // Runs the vision endpoint with the same retries as image providers
+  async describe(filePath, { tags, context } = {}, extra = {}) {
+    const settings = visionSettings(this.config.vision);
+    try {
+      return await withRetries(
+        () => describeImage(filePath, { settings, tags, context, signal: extra.signal }),
+        { ...this.config.retry, provider: "vision", model: settings.model, signal: extra.signal }
+      );
+    } catch (error) {
+      throw toMcpError(classifyError(error, { provider: "vision", model: settings.model }));
+    }
+  }
+
+  async handleDescribeImage({ path: filePath, tags = false, context }, extra = {}) {
+    await this.sandbox.checkRead(filePath, "Path");
+    await assertReadableImage(filePath);
+    const description = await this.describe(filePath, { tags, context }, extra);
+    const lines = [
+      description.caption,
+      "",
+      `Alt text: ${description.alt_text}`,
+      ...(description.tags ? [`Tags: ${description.tags.join(", ")}`] : []),
+    ];
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      structuredContent: description,
+    };
+  }
+
+  // Captions every saved image for alt_text: true. The images already exist
+  // by now, so a captioning failure is reported rather than thrown.
+  async attachAltText(result, extra) {
+    const { structuredContent } = result;
+    const text = result.content.find((item) => item.type === "text");
+    try {
+      const descriptions = [];
+      for (const filePath of structuredContent.paths) {
+        const { caption, alt_text } = await this.describe(filePath, {}, extra);
+        descriptions.push({ path: filePath, caption, alt_text });
+      }
+      structuredContent.alt_text = descriptions[0].alt_text;
+      structuredContent.descriptions = descriptions;
+      if (text) {
+        text.text += descriptions.length === 1
+          ? `\nAlt text: ${descriptions[0].alt_text}`
+          : descriptions.map((d) => `\nAlt text for ${d.path}: ${d.alt_text}`).join("");
+      }
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      if (text) {
+        text.text += `\nCould not write alt text: ${error.message}`;
+      }
+    }
+  }
+
+  async handleRefinePrompt({ prompt, style, size, aspect_ratio, context }, extra = {}) {
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, "Prompt is required");
+    }
+    const styleGuide = style && findStyle(await this.promptLibrary(), style);
+    const refinement = await refinePrompt(this.server, prompt, {
+      style,
+      size,
+      aspect_ratio,
+      context,
+      signal: extra.signal,
     });
+    const structuredContent = {
+      ...refinement,
+      ...(styleGuide && { styled: applyStyle(refinement.refined, styleGuide) }),
+    };
+    return {
+      content: [
+        {
+          type: "text",
+          text: [
+            refinement.enhanced ? `Refined prompt: ${refinement.refined}` : refinement.note,
+            ...(structuredContent.styled ? ["", `With the ${style} style: ${structuredContent.styled}`] : []),
+          ].join("\n"),
+        },
+      ],
+      structuredContent,
+    };
+  }
+
+  async handleGetImageInfo({ path: filePath }) {
+    await this.sandbox.checkRead(filePath, "Path");
+    const info = await readImageInfo(filePath);
+    const { provenance } = info;
+    const lines = [
+      `${info.path}: ${info.width}x${info.height} ${info.format}, ${info.bytes} bytes`,
+      "",
+      ...(provenance
+        ? Object.entries(provenance)
+            .filter(([key]) => key !== "parameters")
+            .map(([key, value]) => `${key}: ${value}`)
+        : ["No provenance recorded for this image"]),
+    ];
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      structuredContent: info,
+    };
+  }
+
+  async handleListModels() {
+    const providers = describeProviders();
+    const lines = providers.flatMap((provider) => [
+      `${provider.name} (${provider.id}): ${
+        provider.configured
+          ? `configured${provider.url ? ` at ${provider.url}` : ""}`
+          : `not configured, set ${setupHint(getProvider(provider.id))}`
+      }${provider.accepts ? ` - also accepts ${provider.accepts}` : ""}`,
+      ...provider.models.map(
+        (model) =>
+          `  - ${model.id}${model.default ? " (default)" : ""}${
+            model.generate ? "" : " (edit only)"
+          }${model.description ? ` - ${model.description}` : ""}${model.sizes.length ? `\n    sizes: ${model.sizes.join(", ")}` : ""}${
+            model.qualities.length ? `\n    qualities: ${model.qualities.join(", ")}` : ""
+          }${
+            model.edit
+              ? `\n    edits: ${
+                  model.edit.mask === "required"
+                    ? "mask required"
+                    : model.edit.mask
+                      ? "optional mask"
+                      : "no mask"
+                }, ${
+                  model.edit.references
+                    ? `up to ${model.edit.references} reference images`
+                    : "no reference images"
+                }`
+              : ""
+          }`
+      ),
+    ]);
+
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      structuredContent: { providers },
+    };
+  }
+
+  // Answers a repeat request from the cache: the same files when an identical
+  // call already produced them, otherwise copies of the cached provider images
+  // post-processed for this call. Returns null on a miss or with force: true.
+  async generateFromCache(args, plan) {
+    if (args.force || !args.prompt || !this.cache.enabled) return null;
+    const { provider, model, quality, providerSize, target, count, output_dir } = plan;
+    try {
+      const entry = await this.cache.lookup(plan.cacheKey, count);
+      if (!entry) return null;
+
+      const fingerprint = outputFingerprint({ ...args, output_dir });
+      let outcome = await this.cache.reusableOutput(entry, fingerprint);
+      const reused = Boolean(outcome);
+      if (!outcome) {
+        const copies = await this.cache.copyTo(entry, {
+          outputDir: output_dir,
+          output: args.output,
+          count,
+        });
+        outcome = await this.finishGeneration(copies, {
+          providerSize,
+          target,
+          fit: args.fit || "cover",
+          optimize: args.optimize,
+        });
+        await this.cache.rememberOutput(plan.cacheKey, fingerprint, outcome);
+      }
+
+      return await buildImageResult({
+        paths: outcome.paths,
+        summary: reused
+          ? "Returned the images of an identical earlier request from the cache, nothing was generated. Pass force: true for new ones."
+          : "Copied images for this prompt from the cache, nothing was generated. Pass force: true for new ones.",
+        provider: provider.id,
+        model,
+        quality,
+        includeImage: args.include_image ?? true,
+        previewWidth: args.preview_width,
+        notes: entry.parameters
+          ? [...outcome.notes, describeParameters(entry.parameters)]
+          : outcome.notes,
+        variants: outcome.variants,
+        extra: {
+          generated_size: providerSize,
+          adjusted: Boolean(target),
+          cached: true,
+          ...(entry.parameters && { seed: entry.parameters.seed }),
+        },
+      });
+    } catch (error) {
+      this.logger.warning(`Cache lookup failed, generating instead: ${error.message}`);
+      return null;
+    }
+  }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      if (request.params.name === "generate_ai_image") {
-        return await this.handleGenerateImage(request.params.arguments);
-      } else if (request.params.name === "square_image") {
-        return await this.handleGenerateImage({
-          ...request.params.arguments,
-          size: "1024x1024",
-        });
-      } else if (request.params.name === "landscape_image") {
-        return await this.handleGenerateImage({
-          ...request.params.arguments,
-          size: "1536x1024",
-        });
-      } else if (request.params.name === "portrait_image") {
-        return await this.handleGenerateImage({
-          ...request.params.arguments,
-          size: "1024x1536",
-        });
-      } else if (request.params.name === "pizza-test") {
-        return await this.handlePizzaTest(request.params.arguments);
-      } else {
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Unknown tool: ${request.params.name}`
+  // Keeps the provider's images before finishGeneration resizes or converts
+  // them in place. A cache failure never fails the generation.
+  async storeInCache(plan, prompt, savedPaths) {
+    try {
+      await this.cache.store(
+        plan.cacheKey,
+        {
+          provider: plan.provider.id,
+          model: plan.model,
+          prompt,
+          size: plan.providerSize,
+          quality: plan.quality,
+          ...(plan.parameters && { parameters: plan.parameters }),
+        },
+        savedPaths
+      );
+    } catch (error) {
+      this.logger.warning(`Could not cache generated images: ${error.message}`);
+    }
+  }
+
+  async rememberCachedOutput(plan, args, outcome) {
+    if (!this.cache.enabled) return;
+    const fingerprint = outputFingerprint({ ...args, output_dir: plan.output_dir });
+    await this.cache
+      .rememberOutput(plan.cacheKey, fingerprint, outcome)
+      .catch((error) => {
+        this.logger.warning(`Could not record cached outputs: ${error.message}`);
+      });
+  }
+
+  // Local post-processing shared by the library and CLI paths: exact-size
+  // cropping first, then format conversion and responsive variants
+  async finishGeneration(savedPaths, { providerSize, target, fit, optimize }) {
+    const notes = [];
+    const variants = [];
+    let paths = savedPaths;
+
+    if (target) {
+      for (const savedPath of savedPaths) {
+        await fitImage(savedPath, target, fit);
+      }
+      notes.push(describeAdjustment(providerSize, target, fit));
+    }
+
+    if (optimize) {
+      paths = [];
+      for (const savedPath of savedPaths) {
+        const optimized = await optimizeImage(savedPath, optimize);
+        paths.push(optimized.path);
+        variants.push(...optimized.variants);
+        notes.push(
+          `Optimized to ${optimized.format}: ${optimized.originalBytes} -> ${optimized.bytes} bytes`
         );
       }
-    });
+    }
+
+    return { paths, notes, variants };
   }
 
-  async handlePizzaTest() {
-    const timestamp = new Date().toISOString();
-    const testResults = [];
-    const fs = await import("fs/promises");
-    const path = await import("path");
-    const url = await import("url");
-
-    // Get various path information
-    const currentDir = process.cwd();
-    const scriptPath = url.fileURLToPath(import.meta.url);
-    const scriptDir = path.dirname(scriptPath);
-    const repoRoot = path.resolve(scriptDir, "..");
-
-    // Test different writable locations
-    const testPaths = [
-      process.cwd(),
-      "/tmp/fs-test-write.txt",
-      "./fs-test-write.txt",
-      `${currentDir}/fs-test-write.txt`,
-      `/var/tmp/fs-test-write.txt`,
-      `${scriptDir}/fs-test-write.txt`,
-      `${repoRoot}/fs-test-write.txt`,
-      `${repoRoot}/output/fs-test-write.txt`,
-      `${repoRoot}/temp/fs-test-write.txt`,
-      `${repoRoot}/images/fs-test-write.txt`,
-      `${repoRoot}/generated/fs-test-write.txt`,
-      `${currentDir}/output/fs-test-write.txt`,
-      `${currentDir}/temp/fs-test-write.txt`,
-      `${currentDir}/images/fs-test-write.txt`,
-      "/Users/felix/web/git/repo-md/klepto-repo/articles/fs-test-write.txt",
-      "/Users/felix/web/git/repo-md/klepto-repo/articles/images/fs-test-write.txt",
-      "/Users/felix/web/git/repo-md/klepto-repo/articles/generated/fs-test-write.txt",
-      "/Users/felix/web/git/repo-md/klepto-repo/articles/assets/fs-test-write.txt",
-    ];
+  // Validates where a tool is about to write: output_dir must be inside the
+  // allowed roots and writable, output a plain file name. Without output_dir,
+  // images go to the first allowed root.
+  async prepareOutput(output_dir, output) {
+    const dir = output_dir || (await this.sandbox.roots())[0].path;
+    await this.sandbox.checkOutputDir(dir);
+    if (output) {
+      checkFilename(output);
+      await this.sandbox.checkOutputFile(path.join(dir, output));
+    }
+    return dir;
+  }
 
-    // If HOME is available, add it
-    if (process.env.HOME) {
-      testPaths.push(`${process.env.HOME}/fs-test-write.txt`);
-      testPaths.push(`${process.env.HOME}/ai-images/fs-test-write.txt`);
+  async handleImageOperation(operation, args) {
+    await this.sandbox.checkRead(args.input);
+    if (args.output) {
+      await this.sandbox.checkOutputPath(args.output, path.dirname(args.input));
+    } else {
+      await this.sandbox.checkOutputDir(path.dirname(args.input));
     }
+    const result = await operation(args);
+    return await buildImageResult({
+      paths: [result.path],
+      summary: `Image saved (${result.width}x${result.height} ${result.format}, ${result.bytes} bytes)`,
+      includeImage: args.include_image ?? true,
+      previewWidth: args.preview_width,
+      extra: { format: result.format, bytes: result.bytes },
+    });
+  }
 
-    for (const testPath of testPaths) {
-      try {
-        // First try to create directory if it doesn't exist
-        const dir = path.dirname(testPath);
-        try {
-          await fs.mkdir(dir, { recursive: true });
-        } catch (mkdirError) {
-          // Ignore mkdir errors, might already exist or not have permission
-        }
+  async handleGenerateBatch(args, extra = {}) {
+    const {
+      items = [],
+      manifest,
+      output_dir,
+      concurrency = this.limiter.concurrency,
+    } = args;
 
-        // Try to write a test file
-        const testContent = `Test write at ${timestamp}\nPath: ${testPath}\nPID: ${
-          process.pid
-        }\nCWD: ${process.cwd()}`;
+    if (manifest) {
+      await this.sandbox.checkRead(manifest, "Manifest");
+    }
+    const specs = [...(manifest ? await loadManifest(manifest) : []), ...items].map(
+      (spec) => ({ output_dir, ...spec })
+    );
+    const progress = createProgressReporter(extra);
 
-        await fs.writeFile(testPath, testContent, "utf8");
+    const reports = await runBatch(specs, {
+      concurrency,
+      signal: extra.signal,
+      // Items go through callTool so they still share the server-wide limit
+      run: (spec) =>
+        this.callTool("generate_ai_image", specArguments(spec), {
+          signal: extra.signal,
+        }),
+      onItemDone: (report, done) =>
+        progress.report(`${report.name} ${report.status}`, {
+          progress: done,
+          total: specs.length,
+        }),
+    });
 
-        // Try to read it back
-        await fs.readFile(testPath, "utf8");
+    const succeeded = reports.filter((r) => r.status === "succeeded").length;
+    const failed = reports.length - succeeded;
+    const lines = reports.map((report) =>
+      report.status === "succeeded"
+        ? `✅ ${report.name}: ${report.paths.join(", ")}`
+        : `❌ ${report.name}: ${report.status}${report.error ? ` - ${report.error}` : ""}`
+    );
 
-        // Clean up
-        await fs.unlink(testPath);
+    return {
+      content: [
+        {
+          type: "text",
+          text: [
+            `Batch finished: ${succeeded} succeeded, ${failed} failed`,
+            "",
+            ...lines,
+          ].join("\n"),
+        },
+        ...reports.flatMap((report) => (report.paths || []).map((p) => resourceLink(p))),
+      ],
+      structuredContent: { items: reports, succeeded, failed },
+    };
+  }
 
-        testResults.push(
-          `✅ SUCCESS: ${testPath} - Write/Read/Delete successful`
-        );
-      } catch (error) {
-        testResults.push(
-          `❌ FAILED: ${testPath} - ${error.code}: ${error.message}`
-        );
+  async handleGenerateFromMarkdown(args, extra = {}) {
+    const {
+      path: target,
+      assets_dir,
+      dry_run = false,
+      concurrency = this.limiter.concurrency,
+      ...defaults
+    } = args;
+
+    for (const [label, value] of [["Path", target], ["Assets folder", assets_dir]]) {
+      if (value !== undefined && !path.isAbsolute(value || "")) {
+        throw new McpError(ErrorCode.InvalidParams, `${label} must be an absolute path`);
       }
     }
+    if (!target) {
+      throw new McpError(ErrorCode.InvalidParams, "Path is required");
+    }
+    await this.sandbox.checkRead(target, "Path");
 
-    // Test directory permissions
-    const dirTests = [];
-    const dirsToTest = [
-      currentDir,
-      scriptDir,
-      repoRoot,
-      "/tmp",
-      "/var/tmp",
-      process.env.HOME,
-      "/Users/felix/web/git/repo-md/klepto-repo/articles",
-    ].filter(Boolean);
+    const plans = [];
+    for (const file of await findMarkdownFiles(target)) {
+      plans.push(
+        await planMarkdownFile(file, {
+          assetsDir: assets_dir || path.join(path.dirname(file), "assets"),
+          presets: this.presets,
+        })
+      );
+    }
+    const tasks = plans.flatMap((plan) => plan.tasks);
 
-    for (const dir of dirsToTest) {
-      try {
-        await fs.access(dir, fs.constants.F_OK);
-        const stats = await fs.stat(dir);
+    // Identical placeholders map to the same file, so each file is generated
+    // once and linked from all of them
+    const groups = new Map();
+    for (const task of tasks.filter((task) => !task.status)) {
+      const key = path.join(task.assetsDir, task.baseName);
+      groups.set(key, [...(groups.get(key) || []), task]);
+    }
+    const settle = (group, outcome) => group.forEach((task) => Object.assign(task, outcome));
 
-        try {
-          await fs.access(dir, fs.constants.W_OK);
-          dirTests.push(
-            `📁 ${dir}: EXISTS, WRITABLE (mode: ${stats.mode.toString(8)})`
-          );
-        } catch {
-          dirTests.push(
-            `📁 ${dir}: EXISTS, READ-ONLY (mode: ${stats.mode.toString(8)})`
-          );
-        }
-      } catch (error) {
-        dirTests.push(`📁 ${dir}: NOT ACCESSIBLE - ${error.code}`);
+    // Images an interrupted run saved but didn't get to link
+    for (const group of groups.values()) {
+      const [{ assetsDir, baseName }] = group;
+      const existing = await existingAsset(assetsDir, baseName);
+      if (existing) {
+        settle(group, { status: "existing", path: existing });
+      } else if (dry_run) {
+        settle(group, { status: "planned", path: path.join(assetsDir, `${baseName}.png`) });
+      }
+    }
+
+    const waiting = [...groups.values()].filter(([task]) => !task.status);
+    const pending = waiting.map(([task]) => task);
+    if (pending.length) {
+      const progress = createProgressReporter(extra);
+      const reports = await runBatch(pending, {
+        concurrency,
+        signal: extra.signal,
+        run: (task) =>
+          this.callTool(
+            task.tool,
+            {
+              ...defaults,
+              ...task.args,
+              prompt: task.prompt,
+              output_dir: task.assetsDir,
+              output: `${task.baseName}.png`,
+              include_image: false,
+            },
+            { signal: extra.signal }
+          ),
+        onItemDone: (report, done) =>
+          progress.report(`${pending[report.index].baseName} ${report.status}`, {
+            progress: done,
+            total: pending.length,
+          }),
+      });
+      reports.forEach((report, index) => {
+        settle(waiting[index], {
+          status: report.status === "succeeded" ? "generated" : report.status,
+          path: report.paths?.[0],
+          error: report.error,
+        });
+      });
+    }
+
+    const files_changed = [];
+    for (const plan of plans) {
+      for (const task of plan.tasks) {
+        if (task.path) task.link = relativeLink(task.file, task.path);
+      }
+      if (dry_run) continue;
+      if (plan.tasks.some((task) => task.link)) {
+        await this.sandbox.checkOutputFile(plan.file);
       }
+      if (await applyPlan(plan)) files_changed.push(plan.file);
     }
 
-    // Test process info
-    const processInfo = [
-      `Process ID: ${process.pid}`,
-      `Current Working Directory: ${currentDir}`,
-      `Script Path: ${scriptPath}`,
-      `Script Directory: ${scriptDir}`,
-      `Repo Root (guessed): ${repoRoot}`,
-      `Node Version: ${process.version}`,
-      `Platform: ${process.platform}`,
-      `Architecture: ${process.arch}`,
-      `User ID: ${process.getuid ? process.getuid() : "N/A"}`,
-      `Group ID: ${process.getgid ? process.getgid() : "N/A"}`,
-      `Environment TMPDIR: ${process.env.TMPDIR || "Not set"}`,
-      `Environment HOME: ${process.env.HOME || "Not set"}`,
-      `Process argv[0]: ${process.argv[0]}`,
-      `Process argv[1]: ${process.argv[1]}`,
+    const items = tasks.map((task) => ({
+      file: task.file,
+      kind: task.kind,
+      prompt: task.prompt,
+      ...(task.tool && { tool: task.tool }),
+      status: task.status,
+      ...(task.path && { path: task.path, link: task.link }),
+      ...(task.error && { error: task.error }),
+    }));
+    // Counted by file, as identical placeholders share one
+    const filesWith = (status) => [
+      ...new Set(items.filter((item) => item.status === status).map((item) => item.path)),
     ];
+    const generatedPaths = filesWith("generated");
+    const generated = generatedPaths.length;
+    const failed = items.filter((item) =>
+      ["failed", "cancelled"].includes(item.status)
+    ).length;
+    const lines = items.map((item) =>
+      item.path
+        ? `${item.status === "planned" ? "•" : "✅"} ${path.basename(item.file)}: ${item.link} (${item.status})`
+        : `❌ ${path.basename(item.file)}: "${item.prompt}" ${item.status}${item.error ? ` - ${item.error}` : ""}`
+    );
+    const summary = !items.length
+      ? `No placeholders left to fill in ${target}`
+      : dry_run
+        ? `Dry run: ${filesWith("planned").length} image(s) to generate`
+        : `Markdown updated: ${generated} generated, ${failed} failed, ${files_changed.length} file(s) changed`;
 
-    // Create a detailed log and also write it to a file
-    const fullReport = [
-      `🍕 Pizza Test - Enhanced Filesystem Write Test`,
-      `Timestamp: ${timestamp}`,
-      ``,
-      `📁 Write Test Results:`,
-      ...testResults,
-      ``,
-      `📂 Directory Permission Tests:`,
-      ...dirTests,
-      ``,
-      `🔍 Process Information:`,
-      ...processInfo,
-      ``,
-      `🔑 Secret Password: kangaroo`,
-    ].join("\n");
-
-    // Try to write the full report to a log file
-    try {
-      const logPath = `/tmp/mcp-server-test-${Date.now()}.log`;
-      await fs.writeFile(logPath, fullReport, "utf8");
-      console.error(`📝 Full report written to: ${logPath}`);
-    } catch (logError) {
-      console.error(`❌ Could not write log file: ${logError.message}`);
+    return {
+      content: [
+        { type: "text", text: [summary, ...(lines.length ? ["", ...lines] : [])].join("\n") },
+        ...(dry_run
+          ? []
+          : generatedPaths.map((file) => resourceLink(file))),
+      ],
+      structuredContent: { items, files_changed, generated, failed },
+    };
+  }
+
+  async handleGenerateIconSet(args, extra = {}) {
+    const {
+      prompt,
+      image,
+      name = "App",
+      short_name,
+      base_path,
+      background_color,
+      theme_color,
+      model,
+      provider,
+      quality,
+      include_image = true,
+      preview_width,
+    } = args;
+
+    if (!prompt === !image) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Pass either a prompt to generate the icon or an image to make it from"
+      );
+    }
+    const output_dir = await this.prepareOutput(args.output_dir);
+    for (const file of ICON_SET_FILES) {
+      await this.sandbox.checkOutputFile(path.join(output_dir, file));
+    }
+    // The source is the master artwork, worth keeping for a redo with other
+    // colors, but nothing a site should serve
+    const source_dir =
+      args.source_dir ||
+      path.join((await this.sandbox.roots())[0].path, ".image-mcp", "icon-sources");
+
+    let source = image;
+    let generation;
+    if (image) {
+      await this.sandbox.checkRead(image);
+      await assertReadableImage(image);
+    } else {
+      generation = await this.callTool(
+        "generate_ai_image",
+        {
+          prompt,
+          size: "1024x1024",
+          model,
+          provider,
+          quality,
+          output_dir: source_dir,
+          output: `icon-source-${new Date().toISOString().replace(/[:.]/g, "-")}.png`,
+          include_image: false,
+        },
+        { signal: extra.signal }
+      );
+      source = generation.structuredContent.paths[0];
+    }
+
+    const set = await writeIconSet(source, {
+      outputDir: output_dir,
+      name,
+      shortName: short_name,
+      basePath: base_path,
+      backgroundColor: background_color,
+      themeColor: theme_color,
+    });
+
+    // The two large icons show how the artwork sits in both shapes
+    const previews = [];
+    const notes = [];
+    if (include_image) {
+      for (const icon of set.icons.filter((icon) => icon.size === 512)) {
+        const preview = await inlineImage(icon.path, { previewWidth: preview_width });
+        if (preview) {
+          previews.push({
+            type: "image",
+            data: preview.data.toString("base64"),
+            mimeType: preview.mimeType,
+          });
+        } else {
+          notes.push(`${icon.path} is too large to inline`);
+        }
+      }
     }
 
+    const cost = generation?.structuredContent?.cost;
     return {
       content: [
         {
           type: "text",
-          text: fullReport,
+          text: [
+            `Icon set saved to ${output_dir} from ${source}`,
+            "",
+            ...[...set.paths, set.manifest, set.snippet].map((p) => `Saved: ${p}`),
+            "",
+            "Add to <head>:",
+            set.html,
+            ...(notes.length ? ["", ...notes] : []),
+          ].join("\n"),
         },
+        ...previews,
+        ...[...set.paths, set.manifest, set.snippet].map((p) => resourceLink(p)),
       ],
+      structuredContent: {
+        ...set,
+        source,
+        ...(cost !== undefined && { cost }),
+      },
     };
   }
 
-  async handleGenerateImageWithImports(args) {
+  async handleCompareModels(args, extra = {}) {
     const {
       prompt,
-      size = "1024x1024",
-      model,
+      prompts = [],
+      models,
+      qualities = [],
+      size,
+      aspect_ratio,
+      cell_width,
+      concurrency = this.limiter.concurrency,
+      force,
+      include_image = true,
+      preview_width,
+    } = args;
+
+    const variations = [...(prompt ? [prompt] : []), ...prompts];
+    const cells = compareCells({ prompts: variations, models, qualities });
+    const output_dir = await this.prepareOutput(args.output_dir);
+    const run = `compare-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    const progress = createProgressReporter(extra);
+
+    const reports = await runBatch(cells, {
+      concurrency,
+      signal: extra.signal,
+      run: async (cell) => {
+        // Timed from when the cell gets a generation slot, so cells queued
+        // behind others don't look slower than they are
+        let started;
+        try {
+          return await this.callTool(
+            "generate_ai_image",
+            {
+              prompt: cell.prompt,
+              model: cell.model,
+              ...(cell.quality && { quality: cell.quality }),
+              ...(size && { size }),
+              ...(aspect_ratio && { aspect_ratio }),
+              ...(force && { force }),
+              output_dir,
+              output: cellFilename(run, cell, variations.length),
+              include_image: false,
+            },
+            { signal: extra.signal, onStart: () => (started = Date.now()) }
+          );
+        } finally {
+          cell.seconds = started ? (Date.now() - started) / 1000 : 0;
+        }
+      },
+      onItemDone: (report, done) =>
+        progress.report(
+          `${[cells[report.index].model, cells[report.index].quality].filter(Boolean).join(" ")} ${report.status}`,
+          { progress: done, total: cells.length }
+        ),
+    });
+
+    reports.forEach((report, index) => {
+      const result = report.result || {};
+      Object.assign(cells[index], {
+        status: report.status,
+        path: report.paths?.[0],
+        provider: result.provider,
+        cost: result.cost,
+        cached: result.cached,
+        error: report.error,
+      });
+    });
+
+    const contact_sheet = await buildContactSheet(cells, {
+      prompts: variations,
+      cellWidth: cell_width,
+      outputPath: path.join(output_dir, `${run}.png`),
+    });
+    const items = cells.map((cell) => ({
+      prompt: cell.prompt,
+      model: cell.model,
+      ...(cell.quality && { quality: cell.quality }),
+      ...(cell.provider && { provider: cell.provider }),
+      status: cell.status,
+      ...(cell.path && { path: cell.path }),
+      seconds: cell.seconds,
+      ...(cell.cost !== undefined && { cost: cell.cost }),
+      ...(cell.cached && { cached: true }),
+      ...(cell.error && { error: cell.error }),
+    }));
+    const priced = items.filter((item) => item.cost !== undefined);
+    const cost = priced.length
+      ? priced.reduce((sum, item) => sum + item.cost, 0)
+      : undefined;
+    const succeeded = items.filter((item) => item.status === "succeeded").length;
+
+    const result = await buildImageResult({
+      paths: [contact_sheet],
+      summary: [
+        `Compared ${models.length} model(s) on ${variations.length} prompt(s): ${succeeded} of ${items.length} images succeeded`,
+        "",
+        ...cells.map(
+          (cell) =>
+            `${cell.status === "succeeded" ? "✅" : "❌"} ${[cell.model, cell.quality]
+              .filter(Boolean)
+              .join(" · ")}${variations.length > 1 ? ` (prompt ${cell.row + 1})` : ""}: ${describeCell(cell)}${
+              cell.path ? ` - ${cell.path}` : ""
+            }`
+        ),
+      ].join("\n"),
+      includeImage: include_image,
+      previewWidth: preview_width,
+      notes: cost !== undefined ? [`Estimated cost: $${cost.toFixed(3)}`] : [],
+      extra: { contact_sheet, items, ...(cost !== undefined && { cost }) },
+    });
+    result.content.push(...items.filter((item) => item.path).map((item) => resourceLink(item.path)));
+    return result;
+  }
+
+  async handleEditImage(args, extra = {}) {
+    const {
+      prompt,
+      image,
+      mask,
+      reference_images: references = [],
+      size,
+      fit = "cover",
       output,
-      output_dir,
-      quality = "high",
+      optimize,
+      include_image = true,
+      preview_width,
     } = args;
 
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, "Prompt is required for image edits");
+    }
+    for (const input of [image, ...(mask ? [mask] : []), ...references]) {
+      await this.sandbox.checkRead(input);
+      await assertReadableImage(input);
+    }
+
+    const output_dir = await this.prepareOutput(
+      args.output_dir || path.dirname(image),
+      output && `${path.parse(output).name}.png`
+    );
+
+    const { provider, model, modelInfo } = resolveEditModel({
+      ...args,
+      references,
+    });
+    const quality = resolveQuality(modelInfo, args.quality);
+    const requested = size ? parseSize(size) : null;
+    const providerSize = modelInfo.sizes.includes(size) ? size : undefined;
+
+    const progress = createProgressReporter(extra);
+    const scratch = await OutputScratch.create(output_dir);
+
     try {
-      // Determine provider based on model or environment variables
-      let provider = 'openai'; // default
-      if (model && model.includes('stability-ai/sdxl')) {
-        provider = 'replicate';
-      } else if (process.env.REPLICATE_API_TOKEN && !process.env.OPENAI_API_KEY) {
-        provider = 'replicate';
-      }
+      progress.start("Image edit in progress");
+      const buffers = await withRetries(
+        () =>
+          abortable(
+            scratch.track(provider.edit({
+              apiKey: getApiKey(provider),
+              settings: providerSettings(provider),
+              model,
+              prompt,
+              image,
+              mask,
+              references,
+              size: providerSize,
+              quality,
+              signal: extra.signal,
+            })),
+            extra.signal
+          ),
+        this.retryOptions({ provider, model }, progress, extra)
+      );
+      progress.stop();
+
+      const savedPaths = await scratch.keep(
+        await saveImages(buffers, { outputDir: scratch.dir, output }),
+        { replace: Boolean(output) }
+      );
+      const generatedSize = await imageSize(savedPaths[0]);
+      const target =
+        requested && generatedSize !== size ? requested : null;
+
+      const { paths, notes, variants } = await this.finishGeneration(
+        savedPaths,
+        { providerSize: generatedSize, target, fit, optimize }
+      );
+      await progress.report("Image edit complete");
 
-      // Create ImageGenerator instance - let it handle validation
-      const generator = new ImageGenerator({
-        provider,
-        outputDir: output_dir,
-        outputFilename: output
+      return await buildImageResult({
+        paths,
+        summary: `Edited ${image}`,
+        provider: provider.id,
+        model,
+        quality,
+        includeImage: include_image,
+        previewWidth: preview_width,
+        notes,
+        variants,
+        extra: { generated_size: generatedSize, adjusted: Boolean(target) },
       });
+    } catch (error) {
+      progress.stop();
+      await scratch.discard();
+      if (error instanceof CancelledError) throw error;
+      throw toMcpError(classifyError(error, { provider: provider.id, model }));
+    }
+  }
+
+  async handleGenerateImageWithImports(args, extra = {}) {
+    const {
+      prompt,
+      output,
+      fit = "cover",
+      optimize,
+      include_image = true,
+      preview_width,
+    } = args;
 
-      // Parse size for the library
-      const [width, height] = size.split('x').map(s => parseInt(s));
-      const libSize = width === height ? '1024x1024' : 
-                     width > height ? '1536x1024' : '1024x1536';
+    const { provider, model, modelInfo } = resolveProvider(args);
+    const quality = resolveQuality(modelInfo, args.quality ?? "high");
+    const background = resolveBackground(modelInfo, args.background);
+    const { providerSize, target } = planSize(args, modelInfo);
+    const count = resolveCount(modelInfo, args.count);
+    const output_dir = await this.prepareOutput(args.output_dir, output);
 
-      // Generate image using the library - let it handle all validation
-      const savedPaths = await generator.generate({
+    const plan = {
+      provider,
+      model,
+      quality,
+      providerSize,
+      target,
+      count,
+      output_dir,
+      cacheKey: cacheKey({
+        provider: provider.id,
+        model,
         prompt,
+        size: providerSize,
+        quality,
+        options: requestOptions(args),
+      }),
+    };
+    const cached = await this.generateFromCache(args, plan);
+    if (cached) return cached;
+
+    const progress = createProgressReporter(extra);
+    const scratch = await OutputScratch.create(output_dir);
+
+    try {
+      // Create ImageGenerator instance - let it handle validation. Only the
+      // hosted providers go through it: its constructor insists on an API
+      // key, which local servers and the mock don't have.
+      const generator =
+        !provider.generate &&
+        new ImageGenerator({
+          provider: provider.id,
+          outputDir: scratch.dir,
+          outputFilename: output
+        });
+
+      // Generate image using the library - let it handle all validation.
+      // Providers with their own generate() (local servers, mock) are called
+      // directly; local servers also report the seed they used.
+      progress.start();
+      const written = await withRetries(async () => {
+        if (!provider.generate) {
+          return await abortable(
+            scratch.track(generator.generate({
+              prompt,
+              model,
+              size: providerSize,
+              quality,
+              ...(background && { background }),
+              n: count,
+              signal: extra.signal,
+            })),
+            extra.signal
+          );
+        }
+        const { images, parameters } = await abortable(
+          scratch.track(provider.generate({
+            settings: providerSettings(provider),
+            model,
+            prompt,
+            size: providerSize,
+            quality,
+            n: count,
+            options: localOptions(args) || {},
+            signal: extra.signal,
+          })),
+          extra.signal
+        );
+        plan.parameters = parameters;
+        return await saveImages(images, { outputDir: scratch.dir, output, prefix: "img" });
+      }, this.retryOptions(plan, progress, extra));
+      progress.stop();
+      const savedPaths = await scratch.keep(written, { replace: Boolean(output) });
+
+      await this.storeInCache(plan, prompt, savedPaths);
+      const { paths, notes, variants } = await this.finishGeneration(
+        savedPaths,
+        { providerSize, target, fit, optimize }
+      );
+      await this.rememberCachedOutput(plan, args, { paths, notes, variants });
+      await progress.report("Image generation complete");
+
+      // Only local servers name where they ran; the mock reads like the
+      // hosted providers it stands in for
+      const { parameters } = plan;
+      const { url } = providerSettings(provider);
+      return await buildImageResult({
+        paths,
+        summary: url
+          ? `Image generation completed on ${url}`
+          : "Image generation completed successfully using library imports!",
+        provider: provider.id,
         model,
-        size: libSize,
         quality,
-        n: 1
+        includeImage: include_image,
+        previewWidth: preview_width,
+        notes: parameters ? [...notes, describeParameters(parameters)] : notes,
+        variants,
+        extra: {
+          generated_size: providerSize,
+          adjusted: Boolean(target),
+          ...(parameters && { seed: parameters.seed }),
+        },
       });
+    } catch (error) {
+      progress.stop();
+      await scratch.discard();
+      if (error instanceof CancelledError) throw error;
+      throw toMcpError(classifyError(error, { provider: provider.id, model }));
+    }
+  }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Image generation completed successfully using library imports!\n\nGenerated image saved to: ${savedPaths[0]}\n\nProvider: ${provider}\nSize: ${libSize}\nQuality: ${quality}`,
-          },
-        ],
-      };
+  // Runs a generation, and when it still fails with a rate limit or a
+  // transient error after retries, tries the configured fallbacks in order
+  async handleGenerateImage(args, extra = {}) {
+    try {
+      return await this.generateImage(args, extra);
     } catch (error) {
-      // Convert library errors to MCP errors
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to generate image with library: ${error.message}`
-      );
+      if (!canFailOver(error)) throw error;
+      const from = [error.data.provider, error.data.model].filter(Boolean).join("/");
+      let lastError = error;
+      for (const candidate of this.fallbacksFor(args)) {
+        try {
+          await extra.rebudget?.(candidate);
+        } catch (budgetError) {
+          this.logger.warning(
+            `Skipping fallback ${candidate.provider}/${candidate.model}: ${budgetError.message}`
+          );
+          continue;
+        }
+        this.logger.warning(
+          `${lastError.message} Failing over to ${candidate.provider}/${candidate.model}.`
+        );
+        try {
+          const result = await this.generateImage(candidate, extra);
+          const { provider, model } = result.structuredContent;
+          result.structuredContent.fallback = { from, reason: error.data.kind };
+          result.content[0].text = `Generated with fallback ${provider}/${model} because ${from} failed (${error.data.kind}).\n\n${result.content[0].text}`;
+          return result;
+        } catch (fallbackError) {
+          if (!canFailOver(fallbackError)) throw fallbackError;
+          lastError = fallbackError;
+        }
+      }
+      throw lastError;
     }
   }
 
-  async handleGenerateImage(args) {
+  // Configured fallbacks other than the request's own provider/model, as
+  // argument sets. The count is capped at what each fallback model allows.
+  fallbacksFor(args) {
+    const { provider: primary, model: primaryModel } = resolveProvider(args);
+    return (this.config.fallbacks || [])
+      .filter(
+        (fallback) =>
+          fallback.provider !== primary.id ||
+          (fallback.model || findModel(primary).id) !== primaryModel
+      )
+      .filter((fallback) => {
+        const provider = getProvider(fallback.provider);
+        return provider && isConfigured(provider);
+      })
+      .map((fallback) => {
+        const modelInfo = findModel(getProvider(fallback.provider), fallback.model);
+        const { quality, ...rest } = args;
+        return {
+          ...rest,
+          ...(modelInfo?.qualities.includes(quality) && { quality }),
+          provider: fallback.provider,
+          model: fallback.model || modelInfo?.id,
+          count: Math.min(args.count || 1, modelInfo?.maxImages || 1),
+        };
+      });
+  }
+
+  retryOptions({ provider, model }, progress, extra) {
+    return {
+      ...this.config.retry,
+      provider: provider.id,
+      model,
+      signal: extra.signal,
+      onRetry: ({ attempt, delay, failure }) =>
+        progress.report(
+          `${ERROR_KINDS[failure.kind].label}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${
+            attempt + 1
+          })`
+        ),
+    };
+  }
+
+  async generateImage(args, extra = {}) {
     const {
       prompt,
-      size = "1024x1024",
-      model,
       output,
-      output_dir,
-      quality = "high",
+      fit = "cover",
+      optimize,
       uselibincli = false,
+      include_image = true,
+      preview_width,
     } = args;
 
-    // Switch between library imports and CLI based on uselibincli parameter
-    if (!uselibincli) {
-      return await this.handleGenerateImageWithImports(args);
+    // Switch between library imports and CLI based on uselibincli parameter.
+    // Local servers have no CLI, so they always take the library path.
+    if (!uselibincli || resolveProvider(args).provider.generate) {
+      return await this.handleGenerateImageWithImports(args, extra);
     }
 
     if (!prompt) {
@@ -478,67 +2722,90 @@ class AIImageMCPServer {
       );
     }
 
-    if (!output_dir) {
+    if (args.count > 1) {
       throw new McpError(
         ErrorCode.InvalidParams,
-        "Output directory is required for image generation"
+        "count is only supported on the library path, drop uselibincli"
       );
     }
 
-    // Check if output_dir is a relative path (starts with . or doesn't start with /)
-    if (output_dir.startsWith(".") || !output_dir.startsWith("/")) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        "Output directory must be an absolute path, not a relative path"
-      );
-    }
+    const output_dir = await this.prepareOutput(args.output_dir, output);
+
+    const { provider, model, modelInfo } = resolveProvider(args);
+    const quality = resolveQuality(modelInfo, args.quality ?? "high");
+    const background = resolveBackground(modelInfo, args.background);
+    const { providerSize, target } = planSize(args, modelInfo);
+
+    const plan = {
+      provider,
+      model,
+      quality,
+      providerSize,
+      target,
+      count: 1,
+      output_dir,
+      cacheKey: cacheKey({
+        provider: provider.id,
+        model,
+        prompt,
+        size: providerSize,
+        quality,
+        options: requestOptions(args),
+      }),
+    };
+    const cached = await this.generateFromCache(args, plan);
+    if (cached) return cached;
 
-    // Test if output directory is writable
+    const progress = createProgressReporter(extra);
+    const scratch = await OutputScratch.create(output_dir);
     try {
-      const fs = await import("fs/promises");
-      const path = await import("path");
+      const result = await withRetries(
+        () =>
+          this.executeAIImageCommand({
+            prompt,
+            size: providerSize,
+            model,
+            output,
+            output_dir: scratch.dir,
+            quality,
+            background,
+            keyEnv: provider.envKey,
+            apiKey: getApiKey(provider),
+          }, extra),
+        this.retryOptions(plan, progress, extra)
+      );
 
-      // Create directory if it doesn't exist
-      await fs.mkdir(output_dir, { recursive: true });
+      // The CLI only reports paths in prose, so take whatever it wrote
+      // into this call's scratch folder
+      const savedPaths = await scratch.keep(null, { replace: Boolean(output) });
 
-      // Test write permissions by creating a temporary file
-      const testFile = path.join(output_dir, `test-write-${Date.now()}.tmp`);
-      await fs.writeFile(testFile, "test", "utf8");
-      await fs.unlink(testFile);
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        `Output directory is not writable: ${error.message}`
+      await this.storeInCache(plan, prompt, savedPaths);
+      const { paths, notes, variants } = await this.finishGeneration(
+        savedPaths,
+        { providerSize, target, fit, optimize }
       );
-    }
+      await this.rememberCachedOutput(plan, args, { paths, notes, variants });
 
-    try {
-      const result = await this.executeAIImageCommand({
-        prompt,
-        size,
+      return await buildImageResult({
+        paths,
+        summary: `Image generation completed successfully!\n\nCommand executed: ${
+          result.command
+        }\n\nOutput:\n${result.stdout}${
+          result.stderr ? `\n\nErrors/Warnings:\n${result.stderr}` : ""
+        }`,
+        provider: provider.id,
         model,
-        output,
-        output_dir,
         quality,
+        includeImage: include_image,
+        previewWidth: preview_width,
+        notes,
+        variants,
+        extra: { generated_size: providerSize, adjusted: Boolean(target) },
       });
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Image generation completed successfully!\n\nCommand executed: ${
-              result.command
-            }\n\nOutput:\n${result.stdout}${
-              result.stderr ? `\n\nErrors/Warnings:\n${result.stderr}` : ""
-            }`,
-          },
-        ],
-      };
     } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to generate image: ${error.message}`
-      );
+      await scratch.discard();
+      if (error instanceof CancelledError) throw error;
+      throw toMcpError(classifyError(error, { provider: provider.id, model }));
     }
   }
 
@@ -549,7 +2816,10 @@ class AIImageMCPServer {
     output,
     output_dir,
     quality,
-  }) {
+    background,
+    keyEnv,
+    apiKey,
+  }, extra = {}) {
     return new Promise((resolve, reject) => {
       const args = ["ai-image", "generate", "--prompt", prompt, "--size", size];
 
@@ -566,53 +2836,75 @@ class AIImageMCPServer {
       if (quality) {
         args.push("--quality", quality);
       }
-
-      // Pass API key if available in environment
-      const apiKey =
-        process.env.OPENAI_API_KEY || process.env.REPLICATE_API_TOKEN; //TODO: use the key that matches the model/provider
-      if (apiKey) {
-        args.push("--api-key", apiKey);
+      if (background) {
+        args.push("--background", background);
       }
 
-      const command = `npx ${args.join(" ")}`;
-      console.error(`Executing: ${command}`); // Log to stderr so it doesn't interfere with MCP protocol
+      // The key of the provider the model routes to goes through the
+      // environment, since arguments are visible to anyone running ps
+      const env = keyEnv && apiKey ? { ...process.env, [keyEnv]: apiKey } : process.env;
+
+      const command = redact(`npx ${args.join(" ")}`);
+      this.logger.debug(`Executing: ${command}`);
 
       const child = spawn("npx", args, {
+        env,
         stdio: ["pipe", "pipe", "pipe"],
         shell: process.platform === "win32", // Use shell on Windows
       });
 
       let stdout = "";
       let stderr = "";
-      let startTime = Date.now();
+      let cancelled = false;
 
-      // Send progress updates every 3 seconds
-      const progressInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        console.error(
-          `Progress: Image generation in progress... (${elapsed}s elapsed)`
-        );
-      }, PROGRESS_UPDATE_INTERVAL);
+      // Send progress notifications every 3 seconds
+      const progress = createProgressReporter(extra).start();
+
+      const onAbort = () => {
+        cancelled = true;
+        child.kill("SIGTERM");
+      };
+      if (extra.signal?.aborted) {
+        onAbort();
+      } else {
+        extra.signal?.addEventListener("abort", onAbort, { once: true });
+      }
 
       child.stdout.on("data", (data) => {
         stdout += data.toString();
-        // Reset progress when we receive data
-        console.error(
-          "Progress: Received output from image generation process"
-        );
+        progress.report("Received output from image generation process");
       });
 
       child.stderr.on("data", (data) => {
         stderr += data.toString();
-        // Reset progress when we receive data
-        console.error(
-          "Progress: Received stderr from image generation process"
-        );
+        progress.report("Received stderr from image generation process");
       });
 
+      const timeout = setTimeout(() => {
+        cleanup();
+        child.kill("SIGTERM");
+        reject(
+          new ProviderError(
+            "timeout",
+            `Command timed out after ${GENERATION_TIMEOUT / 1000}s (IMAGE_MCP_TIMEOUT_MS)`,
+            { model }
+          )
+        );
+      }, GENERATION_TIMEOUT);
+
+      // Shared by every way this ends, since a failed spawn emits 'error'
+      // and may never emit 'close'
+      const cleanup = () => {
+        progress.stop();
+        clearTimeout(timeout);
+        extra.signal?.removeEventListener("abort", onAbort);
+      };
+
       child.on("close", (code) => {
-        clearInterval(progressInterval);
-        if (code === 0) {
+        cleanup();
+        if (cancelled) {
+          reject(new CancelledError());
+        } else if (code === 0) {
           resolve({
             command,
             stdout: stdout.trim(),
@@ -622,43 +2914,66 @@ class AIImageMCPServer {
         } else {
           reject(
             new Error(
-              `Command failed with exit code ${code}.\nStdout: ${stdout}\nStderr: ${stderr}`
+              redact(`Command failed with exit code ${code}.\nStdout: ${stdout}\nStderr: ${stderr}`)
             )
           );
         }
       });
 
       child.on("error", (error) => {
-        clearInterval(progressInterval);
+        cleanup();
         reject(new Error(`Failed to spawn process: ${error.message}`));
       });
-
-      // Increase timeout and clear interval on completion
-      const timeout = setTimeout(() => {
-        clearInterval(progressInterval);
-        child.kill("SIGTERM");
-        reject(new Error("Command timed out after 5 minutes"));
-      }, 300000); // 5 minutes instead of 60 seconds
-
-      child.on("close", () => {
-        clearTimeout(timeout);
-        clearInterval(progressInterval);
-      });
     });
   }
 
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error("AI Image Generator MCP server running on stdio");
+    log("info", "AI Image Generator MCP server running on stdio");
+  }
+
+  static async runHttp({ host, port, token, publicUrl } = {}) {
+    const limiter = new Limiter();
+    const config = loadConfig();
+    const usage = new UsageLedger(config.usage);
+    if (!config.roots.length && !envRoots().length) {
+      log(
+        "warning",
+        `No roots configured: HTTP clients can only use ${process.cwd()}. Set roots in image-mcp.config.json or IMAGE_MCP_ROOTS.`
+      );
+    }
+    return await startHttpServer({
+      createSession: (options) =>
+        new AIImageMCPServer({ limiter, usage, config, clientRoots: false, ...options }),
+      host: host || process.env.IMAGE_MCP_HTTP_HOST || DEFAULT_HTTP_HOST,
+      port: parseInt(port || process.env.IMAGE_MCP_HTTP_PORT) || DEFAULT_HTTP_PORT,
+      token: token || process.env.IMAGE_MCP_HTTP_TOKEN,
+      publicUrl: publicUrl || process.env.IMAGE_MCP_PUBLIC_URL,
+      idleTimeout: parseInt(process.env.IMAGE_MCP_SESSION_IDLE_MS) || DEFAULT_SESSION_IDLE_MS,
+      version: SERVER_VERSION,
+    });
   }
 }
 
 // Run the server
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const server = new AIImageMCPServer();
-  server.run().catch((error) => {
-    console.error("Server failed:", error);
+  const { values: options } = parseArgs({
+    options: {
+      http: { type: "boolean" },
+      host: { type: "string" },
+      port: { type: "string" },
+      token: { type: "string" },
+      "public-url": { type: "string" },
+    },
+    strict: false,
+  });
+
+  const started = options.http
+    ? AIImageMCPServer.runHttp({ ...options, publicUrl: options["public-url"] })
+    : Promise.resolve().then(() => new AIImageMCPServer().run());
+  started.catch((error) => {
+    log("emergency", `Server failed: ${error.stack || error.message}`);
     process.exit(1);
   });
 }
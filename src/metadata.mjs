@@ -0,0 +1,349 @@
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "./logging.mjs";
+
+// sidecar: <image>.json next to each file; manifest: one append-only
+// image-mcp.manifest.jsonl per output directory; off: nothing is written
+export const PROVENANCE_MODES = ["sidecar", "manifest", "off"];
+
+export const MANIFEST_FILENAME = "image-mcp.manifest.jsonl";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PROVENANCE_KEYWORD = "image-mcp";
+const XMP_KEYWORD = "XML:com.adobe.xmp";
+
+// Arguments that say nothing about how the image looks
+const OMITTED_ARGUMENTS = ["include_image", "preview_width", "uselibincli"];
+
+// Provenance travels with published images, so nothing in it may reveal the
+// machine's folders or user names: folders are left out and files keep only
+// their name
+const FOLDER_ARGUMENTS = ["output_dir", "source_dir", "assets_dir"];
+const FILE_ARGUMENTS = ["image", "input", "mask", "references", "manifest", "path", "output"];
+
+function fileName(value) {
+  if (Array.isArray(value)) return value.map(fileName);
+  return typeof value === "string" ? path.basename(value) : value;
+}
+
+export function provenanceMode() {
+  const mode = process.env.IMAGE_MCP_PROVENANCE || "sidecar";
+  return PROVENANCE_MODES.includes(mode) ? mode : "sidecar";
+}
+
+export function buildProvenance(tool, args, structuredContent, filePath) {
+  const parameters = Object.fromEntries(
+    Object.entries(args)
+      .filter(([key]) => !OMITTED_ARGUMENTS.includes(key) && !FOLDER_ARGUMENTS.includes(key))
+      .map(([key, value]) => [key, FILE_ARGUMENTS.includes(key) ? fileName(value) : value])
+  );
+  const description = structuredContent.descriptions?.find(
+    (entry) => entry.path === filePath
+  );
+  return {
+    file: path.basename(filePath),
+    tool,
+    ...(args.prompt && { prompt: args.prompt }),
+    ...(structuredContent.provider && { provider: structuredContent.provider }),
+    ...(structuredContent.model && { model: structuredContent.model }),
+    ...(structuredContent.size && { size: structuredContent.size }),
+    ...(structuredContent.generated_size && {
+      generated_size: structuredContent.generated_size,
+    }),
+    ...(structuredContent.quality && { quality: structuredContent.quality }),
+    ...((structuredContent.seed ?? args.seed) !== undefined && {
+      seed: structuredContent.seed ?? args.seed,
+    }),
+    ...((args.image || args.input) && { source: fileName(args.image || args.input) }),
+    ...(description && { alt_text: description.alt_text }),
+    parameters,
+    created_at: new Date().toISOString(),
+  };
+}
+
+// --- PNG chunks -------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+function textChunk(keyword, text) {
+  return pngChunk("tEXt", Buffer.from(`${keyword}\0${text}`, "latin1"));
+}
+
+// iTXt holds UTF-8, uncompressed, with empty language and translated keyword
+function itxtChunk(keyword, text) {
+  return pngChunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from(`${keyword}\0\0\0\0\0`, "latin1"),
+      Buffer.from(text, "utf8"),
+    ])
+  );
+}
+
+function* readChunks(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    yield { type, data: buffer.subarray(offset + 8, offset + 8 + length), start: offset, end };
+    offset = end;
+  }
+}
+
+function isPng(buffer) {
+  return buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function buildXmp(record) {
+  const fields = ["tool", "provider", "model", "size", "quality", "seed", "created_at"]
+    .filter((key) => record[key] !== undefined)
+    .map((key) => `      <imagemcp:${key}>${escapeXml(record[key])}</imagemcp:${key}>`);
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '    <rdf:Description rdf:about=""',
+    '        xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '        xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    '        xmlns:imagemcp="https://github.com/iplanwebsites/image-mcp/ns/1.0/">',
+    "      <xmp:CreatorTool>image-mcp</xmp:CreatorTool>",
+    ...(record.prompt
+      ? [
+          `      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(
+            record.prompt
+          )}</rdf:li></rdf:Alt></dc:description>`,
+        ]
+      : []),
+    ...fields,
+    "    </rdf:Description>",
+    "  </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="r"?>',
+  ].join("\n");
+}
+
+// Rewrites a PNG with tEXt/iTXt provenance chunks before IEND, replacing any
+// chunks this server wrote earlier. Pixels are untouched.
+export async function embedPngMetadata(filePath, record) {
+  const buffer = await fs.readFile(filePath);
+  if (!isPng(buffer)) return false;
+
+  const kept = [];
+  let iend;
+  for (const chunk of readChunks(buffer)) {
+    if (chunk.type === "IEND") {
+      iend = buffer.subarray(chunk.start, chunk.end);
+      break;
+    }
+    const keyword = ["tEXt", "iTXt"].includes(chunk.type)
+      ? chunk.data.toString("latin1", 0, chunk.data.indexOf(0))
+      : null;
+    if ([PROVENANCE_KEYWORD, XMP_KEYWORD, "Software", "Description"].includes(keyword)) {
+      continue;
+    }
+    kept.push(buffer.subarray(chunk.start, chunk.end));
+  }
+  if (!iend) return false;
+
+  await fs.writeFile(
+    filePath,
+    Buffer.concat([
+      PNG_SIGNATURE,
+      ...kept,
+      textChunk("Software", "image-mcp"),
+      ...(record.prompt ? [itxtChunk("Description", record.prompt)] : []),
+      itxtChunk(PROVENANCE_KEYWORD, JSON.stringify(record)),
+      itxtChunk(XMP_KEYWORD, buildXmp(record)),
+      iend,
+    ])
+  );
+  return true;
+}
+
+export async function readPngMetadata(filePath) {
+  const buffer = await fs.readFile(filePath);
+  if (!isPng(buffer)) return null;
+
+  const text = {};
+  for (const chunk of readChunks(buffer)) {
+    if (chunk.type === "tEXt") {
+      const split = chunk.data.indexOf(0);
+      text[chunk.data.toString("latin1", 0, split)] = chunk.data.toString(
+        "latin1",
+        split + 1
+      );
+    } else if (chunk.type === "iTXt") {
+      const split = chunk.data.indexOf(0);
+      const keyword = chunk.data.toString("latin1", 0, split);
+      // Skip the compression flag, method, language and translated keyword
+      let offset = split + 3;
+      offset = chunk.data.indexOf(0, offset) + 1;
+      offset = chunk.data.indexOf(0, offset) + 1;
+      text[keyword] = chunk.data.toString("utf8", offset);
+    }
+  }
+  if (!Object.keys(text).length) return null;
+
+  let provenance;
+  try {
+    provenance = text[PROVENANCE_KEYWORD] && JSON.parse(text[PROVENANCE_KEYWORD]);
+  } catch {
+    // Not ours or damaged, report the raw text only
+  }
+  return { text, ...(provenance && { provenance }) };
+}
+
+// --- Sidecars and manifests ---------------------------------------------------
+
+export function sidecarPath(filePath) {
+  return `${filePath}.json`;
+}
+
+export async function writeProvenance(filePath, record, mode = provenanceMode()) {
+  if (mode === "off") return null;
+
+  await embedPngMetadata(filePath, record).catch((error) => {
+    log("warning", `Could not embed metadata in ${filePath}: ${error.message}`);
+  });
+
+  if (mode === "manifest") {
+    const manifest = path.join(path.dirname(filePath), MANIFEST_FILENAME);
+    await fs.appendFile(manifest, `${JSON.stringify(record)}\n`, "utf8");
+    return manifest;
+  }
+  const sidecar = sidecarPath(filePath);
+  await fs.writeFile(sidecar, `${JSON.stringify(record, null, 2)}\n`, "utf8");
+  return sidecar;
+}
+
+async function readSidecar(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(sidecarPath(filePath), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Latest manifest line for the file, since the manifest is append-only
+async function readManifestEntry(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(
+      path.join(path.dirname(filePath), MANIFEST_FILENAME),
+      "utf8"
+    );
+  } catch {
+    return null;
+  }
+  const name = path.basename(filePath);
+  let found = null;
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.file === name) found = record;
+    } catch {
+      // Skip a damaged line rather than failing the whole lookup
+    }
+  }
+  return found;
+}
+
+export async function readImageInfo(filePath) {
+  if (!filePath || !path.isAbsolute(filePath)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      "Path must be an absolute path to an image file"
+    );
+  }
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Image not found: ${filePath}`);
+  }
+
+  const image = await sharp(filePath)
+    .metadata()
+    .then(({ format, width, height, hasAlpha }) => ({ format, width, height, hasAlpha }))
+    .catch(() => ({}));
+  const [sidecar, manifest, embedded] = await Promise.all([
+    readSidecar(filePath),
+    readManifestEntry(filePath),
+    readPngMetadata(filePath).catch(() => null),
+  ]);
+
+  return {
+    path: filePath,
+    bytes: stat.size,
+    ...image,
+    provenance: sidecar || manifest || embedded?.provenance || null,
+    sources: {
+      sidecar: Boolean(sidecar),
+      manifest: Boolean(manifest),
+      embedded: Boolean(embedded?.provenance),
+    },
+    ...(embedded && { embedded_text: embedded.text }),
+  };
+}
+
+export const IMAGE_INFO_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    path: { type: "string" },
+    bytes: { type: "number" },
+    format: { type: "string" },
+    width: { type: "number" },
+    height: { type: "number" },
+    hasAlpha: { type: "boolean" },
+    provenance: {
+      type: ["object", "null"],
+      description:
+        "How the image was made: tool, prompt, provider, model, size, quality, seed, alt text, parameters and timestamp",
+    },
+    sources: {
+      type: "object",
+      properties: {
+        sidecar: { type: "boolean" },
+        manifest: { type: "boolean" },
+        embedded: { type: "boolean" },
+      },
+    },
+    embedded_text: { type: "object" },
+  },
+  required: ["path", "provenance"],
+};
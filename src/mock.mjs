@@ -0,0 +1,199 @@
+import { createHash } from "crypto";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { abortable } from "./progress.mjs";
+import { parseSize } from "./sizes.mjs";
+
+// Injected failures look like what the real APIs send, so they go through
+// the same classification, retries and failover as a real error would
+const FAILURES = {
+  content_policy: [400, "Your request was rejected as a result of our safety system"],
+  rate_limit: [429, "Rate limit reached for requests"],
+  quota: [429, "You exceeded your current quota, please check your plan and billing details"],
+  auth: [401, "Incorrect API key provided"],
+  invalid_params: [400, "Invalid value for size"],
+  transient: [503, "The server is overloaded or not ready yet"],
+};
+
+export const MOCK_FAILURES = Object.keys(FAILURES);
+
+// A prompt containing [mock:rate_limit] fails with that kind every time;
+// [mock:rate_limit*2] fails the first two attempts and then succeeds
+const MARKER = /\[mock:(\w+)(?:\*(\d+))?\]/;
+
+// Attempts per prompt for markers with a count, cleared once they succeed
+const attempts = new Map();
+
+function failure(kind) {
+  if (!FAILURES[kind]) {
+    return new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown mock failure ${kind}, use one of ${MOCK_FAILURES.join(", ")}`
+    );
+  }
+  const [status, message] = FAILURES[kind];
+  const error = new Error(`${message} (mock ${kind})`);
+  error.status = status;
+  return error;
+}
+
+function injectFailure(prompt, settings) {
+  const match = MARKER.exec(prompt);
+  if (match) {
+    const [, kind, times] = match;
+    if (!times) throw failure(kind);
+    const count = (attempts.get(prompt) || 0) + 1;
+    if (count <= parseInt(times)) {
+      attempts.set(prompt, count);
+      throw failure(kind);
+    }
+    attempts.delete(prompt);
+    return;
+  }
+  if (settings.fail) {
+    const rate = settings.fail_rate === undefined ? 1 : parseFloat(settings.fail_rate);
+    if (Math.random() < rate) throw failure(settings.fail);
+  }
+}
+
+function digest(...parts) {
+  return createHash("sha256").update(JSON.stringify(parts)).digest();
+}
+
+// A mid-tone color from the hash, so neighbouring prompts look different
+function colorFor(hash) {
+  const hue = (hash[0] / 256) * 360;
+  const saturation = 0.45 + (hash[1] / 256) * 0.3;
+  const lightness = 0.45 + (hash[2] / 256) * 0.2;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const [r, g, b] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x],
+  ][Math.floor(hue / 60) % 6].map((value) =>
+    Math.round((value + lightness - chroma / 2) * 255)
+  );
+  return {
+    hex: `#${[r, g, b].map((value) => value.toString(16).padStart(2, "0")).join("")}`,
+    dark: 0.299 * r + 0.587 * g + 0.114 * b < 140,
+  };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function wrap(text, width, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > width) {
+      lines.push(line);
+      line = "";
+    }
+    line = line ? `${line} ${word}` : word;
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, width - 1)}…`;
+  }
+  return lines;
+}
+
+// Draws the prompt, size and variant on a flat color from the hash
+function placeholderSvg({ prompt, width, height, label, color }) {
+  const fontSize = Math.max(10, Math.round(Math.min(width, height) / 18));
+  const lines = wrap(
+    prompt.replace(MARKER, "").trim() || "(empty prompt)",
+    Math.max(8, Math.floor(width / (fontSize * 0.6)) - 2),
+    Math.max(1, Math.floor(height / (fontSize * 1.3)) - 3)
+  );
+  const ink = color.dark ? "#ffffff" : "#111111";
+  const top = height / 2 - ((lines.length - 1) * fontSize * 1.3) / 2;
+  const text = lines
+    .map(
+      (line, index) =>
+        `<text x="50%" y="${top + index * fontSize * 1.3}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${escapeXml(line)}</text>`
+    )
+    .join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+<rect width="100%" height="100%" fill="${color.hex}"/>
+<rect x="${fontSize / 2}" y="${fontSize / 2}" width="${width - fontSize}" height="${height - fontSize}" fill="none" stroke="${ink}" stroke-opacity="0.4" stroke-width="${Math.max(1, fontSize / 8)}"/>
+<g font-family="sans-serif" fill="${ink}">${text}
+<text x="50%" y="${height - fontSize * 1.5}" font-size="${Math.round(fontSize * 0.7)}" text-anchor="middle" fill-opacity="0.8">${escapeXml(label)}</text>
+</g>
+</svg>`;
+}
+
+async function delay(settings, signal) {
+  const latency = parseInt(settings.latency_ms) || 0;
+  if (latency > 0) {
+    await abortable(new Promise((resolve) => setTimeout(resolve, latency)), signal);
+  }
+}
+
+// Renders placeholder PNGs at the requested size. The same prompt, size,
+// quality, seed and variant always give the same pixels.
+export async function mockGenerate({
+  settings = {},
+  model,
+  prompt,
+  size,
+  quality,
+  n = 1,
+  options = {},
+  signal,
+}) {
+  await delay(settings, signal);
+  injectFailure(prompt, settings);
+
+  const { width, height } = parseSize(size);
+  const images = [];
+  for (let index = 0; index < n; index++) {
+    const color = colorFor(digest(prompt, size, quality || null, options.seed ?? null, index));
+    const label = [`mock ${model}`, `${width}x${height}`, quality, n > 1 && `#${index + 1}`]
+      .filter(Boolean)
+      .join(" · ");
+    images.push(
+      await sharp(Buffer.from(placeholderSvg({ prompt, width, height, label, color })))
+        .png()
+        .toBuffer()
+    );
+  }
+  return { images };
+}
+
+// Tints the source image and writes the edit prompt over it, keeping its size
+// unless another one was asked for
+export async function mockEdit({ settings = {}, prompt, image, size, n = 1, signal }) {
+  await delay(settings, signal);
+  injectFailure(prompt, settings);
+
+  const source = sharp(image);
+  const metadata = await source.metadata();
+  const { width, height } = size ? parseSize(size) : metadata;
+  const base = await source.resize({ width, height, fit: "cover" }).png().toBuffer();
+  const buffers = [];
+  for (let index = 0; index < n; index++) {
+    const color = colorFor(digest("edit", prompt, index));
+    const overlay = placeholderSvg({
+      prompt,
+      width,
+      height,
+      label: `mock edit · ${width}x${height}`,
+      color,
+    }).replace(`fill="${color.hex}"/>`, `fill="${color.hex}" fill-opacity="0.55"/>`);
+    buffers.push(
+      await sharp(base)
+        .composite([{ input: Buffer.from(overlay) }])
+        .png()
+        .toBuffer()
+    );
+  }
+  return buffers;
+}
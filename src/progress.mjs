@@ -0,0 +1,162 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { log } from "./logging.mjs";
+
+export const PROGRESS_UPDATE_INTERVAL = 3000; // 3 seconds
+
+// Sends notifications/progress for the request's progressToken. Providers
+// don't report real progress, so a heartbeat keeps clients that use
+// resetTimeoutOnProgress from timing out while a generation is running.
+export function createProgressReporter(extra = {}) {
+  const progressToken = extra._meta?.progressToken;
+  const startTime = Date.now();
+  let progress = 0;
+  let interval;
+
+  // Without an explicit value each report counts as one step
+  const report = async (message, { total, progress: value } = {}) => {
+    if (progressToken === undefined || !extra.sendNotification) return;
+    progress = value !== undefined ? Math.max(progress, value) : progress + 1;
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress,
+          ...(total !== undefined && { total }),
+          ...(message && { message }),
+        },
+      });
+    } catch (error) {
+      log("warning", `Failed to send progress notification: ${error.message}`);
+    }
+  };
+
+  return {
+    report,
+    start(label = "Image generation in progress") {
+      report(`${label}...`);
+      interval = setInterval(() => {
+        const elapsed = Math.floor((Date.now() - startTime) / 1000);
+        report(`${label}... (${elapsed}s elapsed)`);
+      }, PROGRESS_UPDATE_INTERVAL);
+      return this;
+    },
+    stop() {
+      clearInterval(interval);
+    },
+  };
+}
+
+export class CancelledError extends Error {
+  constructor(message = "Image generation was cancelled") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
+
+// Rejects as soon as the signal aborts, whether or not the promise honors it
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CancelledError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|webp|avif)$/i;
+
+// A private folder inside output_dir for one generation. Providers write
+// there, so calls running side by side never see each other's files; keep()
+// moves the images into output_dir and reports exactly what it moved.
+export class OutputScratch {
+  constructor(outputDir, dir) {
+    this.outputDir = outputDir;
+    this.dir = dir;
+    this.pending = [];
+  }
+
+  static async create(outputDir) {
+    const dir = path.join(outputDir, `.image-mcp-${randomUUID()}`);
+    await fs.mkdir(dir, { recursive: true });
+    return new OutputScratch(outputDir, dir);
+  }
+
+  // Work that may still write here after the caller stopped waiting for it,
+  // like a library call that ignores its abort signal
+  track(promise) {
+    this.pending.push(promise);
+    return promise;
+  }
+
+  async images() {
+    const entries = await fs.readdir(this.dir).catch(() => []);
+    return entries
+      .filter((name) => IMAGE_FILE_PATTERN.test(name))
+      .sort()
+      .map((name) => path.join(this.dir, name));
+  }
+
+  // Moves the given files, or every image written here, into output_dir.
+  // With replace, as for a name the client chose, an older file of that name
+  // is replaced; otherwise a -2, -3 suffix keeps another call's image.
+  async keep(files, { replace = false } = {}) {
+    const kept = [];
+    for (const file of files || (await this.images())) {
+      const name = path.basename(file);
+      if (replace) {
+        const target = path.join(this.outputDir, name);
+        await fs.rename(file, target);
+        kept.push(target);
+        continue;
+      }
+      const { name: stem, ext } = path.parse(name);
+      for (let suffix = 1; ; suffix++) {
+        const target = path.join(this.outputDir, suffix === 1 ? name : `${stem}-${suffix}${ext}`);
+        try {
+          // link() refuses an existing name, unlike rename()
+          await fs.link(file, target);
+        } catch (error) {
+          if (error.code === "EEXIST") continue;
+          throw error;
+        }
+        await fs.unlink(file);
+        kept.push(target);
+        break;
+      }
+    }
+    await this.discard();
+    return kept;
+  }
+
+  // Removes the folder now, and again once tracked work has settled, so a
+  // write that lands after a cancellation leaves nothing behind
+  async discard() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+    if (this.pending.length) {
+      Promise.allSettled(this.pending).then(() =>
+        fs.rm(this.dir, { recursive: true, force: true }).catch((error) => {
+          log("warning", `Could not remove ${this.dir}: ${error.message}`);
+        })
+      );
+    }
+  }
+}
@@ -0,0 +1,360 @@
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+// Style guides: prompt is added to the image prompt, palette, mood and avoid
+// become sentences of their own
+export const BUILTIN_STYLES = {
+  photoreal: {
+    description: "Photorealistic, natural light, shallow depth of field",
+    prompt:
+      "Photorealistic photograph, shot on a full-frame camera with a 35mm lens, natural light, shallow depth of field, true-to-life colors",
+    avoid: ["illustration", "cartoon look", "text", "watermarks"],
+  },
+  flat: {
+    description: "Flat vector illustration with bold solid colors",
+    prompt:
+      "Flat vector illustration, simple geometric shapes, bold solid colors, crisp edges, no gradients or textures",
+    avoid: ["photorealism", "3D shading", "text"],
+  },
+  isometric: {
+    description: "Clean isometric 3D illustration",
+    prompt:
+      "Isometric 3D illustration at a true isometric angle, clean edges, soft ambient occlusion, subtle shadows, tidy composition",
+    avoid: ["perspective distortion", "clutter", "text"],
+  },
+  watercolor: {
+    description: "Loose watercolor on textured paper",
+    prompt: "Loose watercolor painting on textured paper, soft bleeding edges, light washes",
+    avoid: ["hard outlines", "text"],
+  },
+};
+
+// {{name}} is replaced by the argument, {{#name}}...{{/name}} is kept only
+// when the argument was given
+export const BUILTIN_TEMPLATES = {
+  blog_cover: {
+    title: "Blog cover",
+    description: "A wide cover image for an article, with room for a title overlay",
+    tool: "landscape_image",
+    arguments: [
+      { name: "topic", description: "What the article is about", required: true },
+      { name: "mood", description: "Overall feel, e.g. calm or energetic" },
+    ],
+    template:
+      "Editorial cover image for an article about {{topic}}. One clear focal point, uncluttered composition with calm negative space on one side for a title{{#mood}}, {{mood}} mood{{/mood}}. No text or lettering.",
+  },
+  product_shot: {
+    title: "Product shot",
+    description: "A clean studio photograph of a product",
+    tool: "square_image",
+    style: "photoreal",
+    arguments: [
+      { name: "product", description: "The product, with its material and color", required: true },
+      {
+        name: "background",
+        description: "What it stands on",
+        default: "a seamless light grey backdrop",
+      },
+    ],
+    template:
+      "Studio product photograph of {{product}}, centered on {{background}}, soft box lighting with gentle reflections and a soft contact shadow, sharp focus on the product.",
+  },
+  flat_icon: {
+    title: "Flat icon",
+    description: "A simple icon that stays readable at small sizes",
+    tool: "square_image",
+    style: "flat",
+    arguments: [
+      { name: "subject", description: "What the icon shows", required: true },
+      { name: "color", description: "Main color, e.g. teal" },
+    ],
+    template:
+      "A flat icon of {{subject}}, centered on a plain background with generous padding, bold simple silhouette that reads at 32 pixels{{#color}}, mainly {{color}}{{/color}}.",
+  },
+  isometric_illustration: {
+    title: "Isometric illustration",
+    description: "A small isometric scene, e.g. for a feature section",
+    tool: "square_image",
+    style: "isometric",
+    arguments: [
+      { name: "scene", description: "What happens in the scene", required: true },
+      { name: "palette", description: "Colors to use, e.g. pastel blues and corals" },
+    ],
+    template:
+      "Isometric illustration of {{scene}}, shown as a self-contained diorama on a plain background{{#palette}}, {{palette}} palette{{/palette}}.",
+  },
+  photoreal_hero: {
+    title: "Photoreal hero",
+    description: "A wide photographic hero image for a landing page",
+    tool: "generate_ai_image",
+    aspect_ratio: "16:9",
+    style: "photoreal",
+    arguments: [
+      { name: "subject", description: "Who or what the image shows", required: true },
+      { name: "setting", description: "Where it takes place" },
+    ],
+    template:
+      "Wide hero photograph of {{subject}}{{#setting}} in {{setting}}{{/setting}}, cinematic composition with the subject off-center and open space for a headline, golden hour light.",
+  },
+};
+
+const TEMPLATE_KEYS = [
+  "title",
+  "description",
+  "tool",
+  "size",
+  "aspect_ratio",
+  "style",
+  "arguments",
+  "template",
+];
+const ARGUMENT_KEYS = ["name", "description", "required", "default"];
+const STYLE_KEYS = ["description", "prompt", "palette", "mood", "avoid"];
+const NAME = /^[a-z][a-z0-9_-]*$/;
+const EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Reads one kind of entry from a prompts directory. A broken file is
+// reported through warn() and skipped, so the rest of the library, and the
+// built-ins, keep working.
+async function readEntries(dir, kind, keys, warn) {
+  const folder = path.join(dir, kind);
+  const names = await fs.readdir(folder).catch(() => []);
+
+  const entries = {};
+  for (const file of names.sort()) {
+    if (!EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+    const filePath = path.join(folder, file);
+    const name = path.parse(file).name;
+    let entry;
+    try {
+      const text = await fs.readFile(filePath, "utf8");
+      entry = path.extname(file) === ".json" ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+      warn(`Skipping ${filePath}: ${error.message}`);
+      continue;
+    }
+    if (!NAME.test(name)) {
+      warn(`Skipping ${filePath}: the file name must be lowercase letters, digits, _ or -`);
+      continue;
+    }
+    const unknown = Object.keys(entry || {}).filter((key) => !keys.includes(key));
+    if (!entry || typeof entry !== "object" || unknown.length) {
+      warn(
+        `Skipping ${filePath}: ${unknown.length ? `unknown key(s) ${unknown.join(", ")}` : "not an object"}; use ${keys.join(", ")}`
+      );
+      continue;
+    }
+    entries[name] = { ...entry, source: filePath };
+  }
+  return entries;
+}
+
+// What keeps a template from being used, or null when it is fine
+function templateProblem(template) {
+  if (typeof template.template !== "string" || !template.tool) {
+    return "template and tool are required";
+  }
+  for (const argument of template.arguments || []) {
+    const unknown = Object.keys(argument).filter((key) => !ARGUMENT_KEYS.includes(key));
+    if (!NAME.test(argument.name || "") || unknown.length) {
+      return `arguments need a lowercase name and may set ${ARGUMENT_KEYS.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Modification times of a directory's templates/ and styles/ folders and
+// the files in them, so an edit, a new file or a removed one shows up
+async function signature(dir) {
+  const parts = [];
+  for (const kind of ["templates", "styles"]) {
+    const folder = path.join(dir, kind);
+    const stats = await fs.stat(folder).catch(() => null);
+    if (!stats) continue;
+    parts.push(`${kind}:${stats.mtimeMs}`);
+    for (const file of (await fs.readdir(folder).catch(() => [])).sort()) {
+      const fileStats = await fs.stat(path.join(folder, file)).catch(() => null);
+      if (fileStats) parts.push(`${file}:${fileStats.mtimeMs}:${fileStats.size}`);
+    }
+  }
+  return parts.join("|");
+}
+
+// Parsed directories by path, reread only when their signature changes
+const loaded = new Map();
+
+async function loadDirectory(dir, warn) {
+  const current = (await fs.stat(dir).catch(() => null)) ? await signature(dir) : null;
+  const cached = loaded.get(dir);
+  if (cached && cached.signature === current) return cached;
+  if (current === null) {
+    warn(`Prompts directory ${dir} does not exist`);
+    const missing = { signature: null, templates: {}, styles: {} };
+    loaded.set(dir, missing);
+    return missing;
+  }
+
+  const templates = await readEntries(dir, "templates", TEMPLATE_KEYS, warn);
+  for (const [name, template] of Object.entries(templates)) {
+    const problem = templateProblem(template);
+    if (problem) {
+      warn(`Skipping ${template.source}: ${problem}`);
+      delete templates[name];
+    }
+  }
+  const entry = {
+    signature: current,
+    templates,
+    styles: await readEntries(dir, "styles", STYLE_KEYS, warn),
+  };
+  loaded.set(dir, entry);
+  return entry;
+}
+
+// Built-in templates and styles, then each directory's templates/ and styles/
+// folders in order, so a project can replace a built-in by reusing its name.
+// Directories are parsed again only when a file in them changes, so edits
+// show up without a restart.
+export async function loadPromptLibrary(dirs = [], { warn = () => {} } = {}) {
+  const templates = { ...BUILTIN_TEMPLATES };
+  const styles = { ...BUILTIN_STYLES };
+  for (const dir of dirs) {
+    const entries = await loadDirectory(dir, warn);
+    Object.assign(templates, entries.templates);
+    Object.assign(styles, entries.styles);
+  }
+  return { templates, styles };
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.join(", ") : value;
+}
+
+// Adds a style guide to a prompt: its own wording, then mood, palette and
+// what to avoid, each as a sentence
+export function applyStyle(prompt, style) {
+  return [
+    prompt.trim().replace(/[.\s]+$/, ""),
+    style.prompt,
+    style.mood && `Mood: ${style.mood}`,
+    style.palette && `Color palette: ${list(style.palette)}`,
+    style.avoid && `Avoid: ${list(style.avoid)}`,
+  ]
+    .filter(Boolean)
+    .map((sentence) => sentence.trim().replace(/[.\s]+$/, ""))
+    .join(". ")
+    .concat(".");
+}
+
+export function findStyle(library, name) {
+  const style = library.styles[name];
+  if (!style) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown style ${name}. Available: ${Object.keys(library.styles).join(", ")}`
+    );
+  }
+  return style;
+}
+
+// Every template also takes a style, to swap in a brand guide
+function templateArguments(template, styles) {
+  return [
+    ...(template.arguments || []).map(({ name, description, required, default: fallback }) => ({
+      name,
+      description: [description, fallback && `(default: ${fallback})`].filter(Boolean).join(" "),
+      required: Boolean(required),
+    })),
+    {
+      name: "style",
+      description: `Style guide to apply: ${Object.keys(styles).join(", ")}${
+        template.style ? ` (default: ${template.style})` : ""
+      }`,
+      required: false,
+    },
+  ];
+}
+
+export function describeTemplates(library) {
+  return Object.entries(library.templates).map(([name, template]) => ({
+    name,
+    ...(template.title && { title: template.title }),
+    description: [
+      template.description,
+      `Uses ${template.tool}${template.size ? ` at ${template.size}` : ""}${
+        template.aspect_ratio ? ` at ${template.aspect_ratio}` : ""
+      }`,
+    ]
+      .filter(Boolean)
+      .join(". "),
+    arguments: templateArguments(template, library.styles),
+  }));
+}
+
+export function renderTemplate(text, values) {
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) =>
+      values[name] ? inner : ""
+    )
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => values[name] ?? "");
+}
+
+// Fills a template into the tool call an agent should make. The prompt is
+// left unstyled and the style passed along, so the tool applies it once.
+export function buildPromptCall(library, name, args = {}, { tools, needsOutputDir }) {
+  const template = library.templates[name];
+  if (!template) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown prompt ${name}. Available: ${Object.keys(library.templates).join(", ")}`
+    );
+  }
+  if (!tools.includes(template.tool)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Prompt ${name} targets ${template.tool}, which this server doesn't offer`
+    );
+  }
+
+  const values = {};
+  for (const argument of template.arguments || []) {
+    const value = args[argument.name] ?? argument.default;
+    if (argument.required && !value) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Prompt ${name} needs the ${argument.name} argument`
+      );
+    }
+    values[argument.name] = value;
+  }
+  const style = args.style || template.style;
+  if (style) findStyle(library, style);
+
+  const call = {
+    prompt: renderTemplate(template.template, values).replace(/\s+/g, " ").trim(),
+    ...(template.size && { size: template.size }),
+    ...(template.aspect_ratio && { aspect_ratio: template.aspect_ratio }),
+    ...(style && { style }),
+  };
+  return {
+    description: template.description,
+    tool: template.tool,
+    arguments: call,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: [
+            `Generate the image with the ${template.tool} tool, using these arguments:`,
+            "",
+            JSON.stringify(call, null, 2),
+            ...(needsOutputDir ? ["", "Add an absolute output_dir for the project."] : []),
+          ].join("\n"),
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,584 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { openaiEdit, replicateEdit } from "./edits.mjs";
+import { automatic1111Generate, comfyuiGenerate, isCheckpoint } from "./local.mjs";
+import { mockEdit, mockGenerate } from "./mock.mjs";
+
+// Each provider declares the models it serves, what they support, and the
+// environment variable holding its API key. Routing and key selection for
+// both the library and CLI paths are driven from here. Models with an `edit`
+// entry can be used by edit_image through the provider's edit() function.
+// `prices` is USD per image: a flat number, or per quality and then per size.
+// A provider-level `prices` covers models its list doesn't name, such as
+// checkpoints on a local server.
+// Local and mock providers have a `generate` function and read their
+// settings from the config file or the variables named in `env`. A provider
+// marked `takesDefault` handles requests that name no provider or model.
+const providers = new Map();
+
+export function registerProvider(definition) {
+  if (!definition.id || !Array.isArray(definition.models)) {
+    throw new Error("Provider definitions need an id and a models array");
+  }
+  providers.set(definition.id, definition);
+}
+
+registerProvider({
+  id: "openai",
+  name: "OpenAI",
+  envKey: "OPENAI_API_KEY",
+  edit: openaiEdit,
+  models: [
+    {
+      id: "gpt-image-1",
+      default: true,
+      maxImages: 10,
+      sizes: ["1024x1024", "1536x1024", "1024x1536"],
+      qualities: ["low", "medium", "high", "auto"],
+      options: {
+        background: ["auto", "transparent", "opaque"],
+      },
+      prices: {
+        low: { "1024x1024": 0.011, default: 0.016 },
+        medium: { "1024x1024": 0.042, default: 0.063 },
+        high: { "1024x1024": 0.167, default: 0.25 },
+        // Billed at whatever quality the API picks, so assume the highest
+        auto: { "1024x1024": 0.167, default: 0.25 },
+      },
+      edit: { mask: true, references: 15 },
+    },
+  ],
+});
+
+registerProvider({
+  id: "replicate",
+  name: "Replicate",
+  envKey: "REPLICATE_API_TOKEN",
+  // Replicate hosts thousands of models, so any owner/name is accepted and
+  // routed here even when it isn't listed below
+  acceptsModel: (model) => /^[\w.-]+\/[\w.-]+(:\w+)?$/.test(model),
+  accepts: "any owner/name model",
+  edit: replicateEdit,
+  models: [
+    {
+      id: "stability-ai/sdxl",
+      default: true,
+      maxImages: 4,
+      sizes: [
+        "1024x1024",
+        "1152x896",
+        "896x1152",
+        "1216x832",
+        "832x1216",
+        "1344x768",
+        "768x1344",
+        "1536x640",
+        "640x1536",
+      ],
+      qualities: [],
+      options: {
+        negative_prompt: "string",
+        seed: "number",
+      },
+      prices: 0.0048,
+    },
+    {
+      id: "black-forest-labs/flux-schnell",
+      maxImages: 4,
+      sizes: [
+        "1024x1024",
+        "1344x768",
+        "768x1344",
+        "1536x640",
+        "1216x832",
+        "832x1216",
+        "896x1088",
+        "1088x896",
+      ],
+      qualities: [],
+      options: {
+        seed: "number",
+      },
+      prices: 0.003,
+    },
+    {
+      id: "black-forest-labs/flux-kontext-pro",
+      generate: false,
+      sizes: [],
+      qualities: [],
+      edit: { mask: false, references: 0 },
+      prices: 0.04,
+    },
+    {
+      id: "black-forest-labs/flux-fill-pro",
+      generate: false,
+      sizes: [],
+      qualities: [],
+      edit: { mask: "required", references: 0 },
+      prices: 0.05,
+    },
+  ],
+});
+
+// Options shared by the local Stable Diffusion servers
+const LOCAL_MODEL_OPTIONS = {
+  negative_prompt: "string",
+  seed: "number",
+  steps: "number",
+  sampler: "string",
+};
+
+registerProvider({
+  id: "automatic1111",
+  name: "Automatic1111 (local)",
+  env: { url: "IMAGE_MCP_A1111_URL" },
+  generate: automatic1111Generate,
+  prices: 0,
+  // Any checkpoint the server has installed, loaded for that call only
+  acceptsModel: isCheckpoint,
+  accepts: "checkpoint file names",
+  models: [
+    {
+      id: "sd-webui",
+      default: true,
+      description: "Whatever checkpoint the server has loaded",
+      maxImages: 8,
+      sizes: [],
+      qualities: [],
+      options: LOCAL_MODEL_OPTIONS,
+      prices: 0,
+    },
+  ],
+});
+
+registerProvider({
+  id: "comfyui",
+  name: "ComfyUI (local)",
+  env: { url: "IMAGE_MCP_COMFYUI_URL", workflow: "IMAGE_MCP_COMFYUI_WORKFLOW" },
+  generate: comfyuiGenerate,
+  prices: 0,
+  acceptsModel: isCheckpoint,
+  accepts: "checkpoint file names",
+  models: [
+    {
+      id: "comfyui-workflow",
+      default: true,
+      description: "The configured workflow template",
+      maxImages: 4,
+      sizes: [],
+      qualities: [],
+      options: LOCAL_MODEL_OPTIONS,
+      prices: 0,
+    },
+  ],
+});
+
+// Offline placeholders for tests and CI. Once enabled it takes every request
+// that doesn't name a provider or model, so nothing reaches a paid API.
+registerProvider({
+  id: "mock",
+  name: "Mock (offline placeholders)",
+  env: {
+    enabled: "IMAGE_MCP_MOCK",
+    latency_ms: "IMAGE_MCP_MOCK_LATENCY_MS",
+    fail: "IMAGE_MCP_MOCK_FAIL",
+    fail_rate: "IMAGE_MCP_MOCK_FAIL_RATE",
+  },
+  takesDefault: true,
+  generate: mockGenerate,
+  prices: 0,
+  edit: mockEdit,
+  models: [
+    {
+      id: "mock-image",
+      default: true,
+      description: "Deterministic placeholder showing the prompt and size",
+      maxImages: 10,
+      sizes: [],
+      qualities: ["low", "medium", "high", "auto"],
+      options: { seed: "number" },
+      prices: 0,
+      edit: { mask: true, references: 15 },
+    },
+  ],
+});
+
+export function getProvider(id) {
+  return providers.get(id);
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+export function getApiKey(provider) {
+  return provider.envKey ? process.env[provider.envKey] : undefined;
+}
+
+// Enough of a key to tell which one is set, never enough to use it
+export function maskSecret(secret) {
+  if (!secret) return null;
+  return secret.length > 12 ? `${secret.slice(0, 3)}...${secret.slice(-4)}` : "****";
+}
+
+// Applies the config file's settings for a provider, such as a local server URL
+export function configureProvider(id, settings = {}) {
+  const provider = getProvider(id);
+  if (provider) provider.settings = { ...settings };
+}
+
+// Config settings with any of the provider's environment variables on top
+export function providerSettings(provider) {
+  const fromEnv = Object.entries(provider.env || {})
+    .filter(([, name]) => process.env[name])
+    .map(([key, name]) => [key, process.env[name]]);
+  return { ...provider.settings, ...Object.fromEntries(fromEnv) };
+}
+
+export function isConfigured(provider) {
+  if (provider.env?.url) return Boolean(providerSettings(provider).url);
+  if (provider.env?.enabled) {
+    const { enabled } = providerSettings(provider);
+    return enabled === true || /^(1|true|on|yes)$/i.test(enabled);
+  }
+  return !provider.envKey || Boolean(getApiKey(provider));
+}
+
+// What to set for a provider that isn't configured
+export function setupHint(provider) {
+  if (provider.env?.url) {
+    return `${provider.env.url} or local.${provider.id}.url in the config file`;
+  }
+  if (provider.env?.enabled) {
+    return `${provider.env.enabled}=1 or ${provider.id}.enabled in the config file`;
+  }
+  return provider.envKey;
+}
+
+// Providers in the order a request without provider or model tries them
+function defaultOrder() {
+  const all = listProviders();
+  return [...all.filter((p) => p.takesDefault), ...all.filter((p) => !p.takesDefault)];
+}
+
+// Strips a Replicate version hash so "owner/name:abc123" matches "owner/name"
+function baseModelId(model) {
+  return model.split(":")[0];
+}
+
+function listsModel(provider, model) {
+  return provider.models.some((m) => m.id === baseModelId(model));
+}
+
+// Local servers run any checkpoint with what their default model declares
+export function findModel(provider, model) {
+  if (!model) {
+    return provider.models.find((m) => m.default) || provider.models[0];
+  }
+  if (provider.generate && !listsModel(provider, model) && provider.acceptsModel?.(model)) {
+    return findModel(provider);
+  }
+  return provider.models.find((m) => m.id === baseModelId(model));
+}
+
+// Among providers that accept any model of a kind, a configured one wins
+function providerForModel(model) {
+  const all = listProviders();
+  const accepting = all.filter((provider) => provider.acceptsModel?.(model));
+  return (
+    all.find((provider) => listsModel(provider, model)) ||
+    accepting.find(isConfigured) ||
+    accepting[0]
+  );
+}
+
+function knownModels() {
+  return listProviders()
+    .flatMap((provider) => provider.models.map((m) => m.id))
+    .join(", ");
+}
+
+// Picks the provider and model for a request. An explicit provider wins, then
+// the provider that declares the model, then the first configured provider.
+export function resolveProvider({ provider: providerId, model } = {}) {
+  let provider;
+
+  if (providerId) {
+    provider = getProvider(providerId);
+    if (!provider) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown provider: ${providerId}. Available providers: ${listProviders()
+          .map((p) => p.id)
+          .join(", ")}`
+      );
+    }
+    if (model && !findModel(provider, model) && !provider.acceptsModel?.(model)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Model ${model} is not supported by ${provider.id}. Use list_models to see available models.`
+      );
+    }
+  } else if (model) {
+    provider = providerForModel(model);
+    if (!provider) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown model: ${model}. Known models: ${knownModels()}`
+      );
+    }
+  } else {
+    provider = defaultOrder().find(isConfigured) || getProvider("openai");
+  }
+
+  if (!isConfigured(provider)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Provider ${provider.id} is not configured: set ${setupHint(provider)}`
+    );
+  }
+
+  const modelInfo = findModel(provider, model);
+  if (modelInfo?.generate === false) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${modelInfo.id} can only edit images, use edit_image instead`
+    );
+  }
+  return {
+    provider,
+    model: model || modelInfo?.id,
+    modelInfo,
+  };
+}
+
+// Explains why a model can't take an edit request, or returns null if it can
+function editMismatch(modelInfo, { mask, references }) {
+  const edit = modelInfo.edit;
+  if (!edit) return `${modelInfo.id} does not support image edits`;
+  if (mask && !edit.mask) return `${modelInfo.id} does not support masks`;
+  if (!mask && edit.mask === "required") {
+    return `${modelInfo.id} requires a mask`;
+  }
+  if (references.length > edit.references) {
+    return edit.references
+      ? `${modelInfo.id} accepts at most ${edit.references} reference images`
+      : `${modelInfo.id} does not support reference images`;
+  }
+  return null;
+}
+
+// Picks a provider and model able to handle an edit with the given inputs.
+// Without a model, the first configured model that supports them is used.
+export function resolveEditModel({
+  provider: providerId,
+  model,
+  mask,
+  references = [],
+}) {
+  const wanted = { mask: Boolean(mask), references };
+
+  if (model || providerId) {
+    const { provider, modelInfo } = resolveEditTarget(providerId, model, wanted);
+    const mismatch = editMismatch(modelInfo, wanted);
+    if (mismatch) {
+      throw new McpError(ErrorCode.InvalidParams, mismatch);
+    }
+    return { provider, model: modelInfo.id, modelInfo };
+  }
+
+  for (const provider of defaultOrder().filter(isConfigured)) {
+    const modelInfo = provider.models.find(
+      (m) => provider.edit && !editMismatch(m, wanted)
+    );
+    if (modelInfo) {
+      return { provider, model: modelInfo.id, modelInfo };
+    }
+  }
+
+  const supported = listProviders()
+    .flatMap((provider) => provider.models.filter((m) => !editMismatch(m, wanted)))
+    .map((m) => m.id);
+  throw new McpError(
+    ErrorCode.InvalidParams,
+    supported.length
+      ? `No configured provider supports this edit. Models that would: ${supported.join(", ")}`
+      : "No model supports this combination of mask and reference images"
+  );
+}
+
+function resolveEditTarget(providerId, model, wanted) {
+  const provider = providerId
+    ? getProvider(providerId)
+    : listProviders().find((p) => findModel(p, model));
+  if (!provider) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      providerId
+        ? `Unknown provider: ${providerId}`
+        : `Unknown or non-editing model: ${model}. Use list_models to see which models support edits.`
+    );
+  }
+  if (!provider.edit) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Provider ${provider.id} does not support image edits`
+    );
+  }
+  const modelInfo = model
+    ? findModel(provider, model)
+    : provider.models.find((m) => !editMismatch(m, wanted)) ||
+      provider.models.find((m) => m.edit);
+  if (!modelInfo) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Model ${model} is not supported by ${provider.id}. Use list_models to see available models.`
+    );
+  }
+  if (!isConfigured(provider)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Provider ${provider.id} is not configured: set ${setupHint(provider)}`
+    );
+  }
+  return { provider, modelInfo };
+}
+
+// Models without a quality setting get undefined, so it isn't reported or
+// forwarded to providers that would reject it
+export function resolveQuality(modelInfo, quality) {
+  if (!modelInfo || !modelInfo.qualities.length) return undefined;
+  if (quality && !modelInfo.qualities.includes(quality)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Quality ${quality} is not supported by ${modelInfo.id}. Supported: ${modelInfo.qualities.join(", ")}`
+    );
+  }
+  return quality;
+}
+
+// The background a model was asked for, checked against the values its
+// `options` declare
+export function resolveBackground(modelInfo, background) {
+  if (background === undefined) return undefined;
+  const supported = modelInfo?.options?.background;
+  if (!supported) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${modelInfo?.id || "This model"} doesn't take a background; see list_models for the models that do`
+    );
+  }
+  if (!supported.includes(background)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Background ${background} is not supported by ${modelInfo.id}. Supported: ${supported.join(", ")}`
+    );
+  }
+  return background;
+}
+
+// Number of images per call; models that don't declare maxImages get one
+export function resolveCount(modelInfo, count = 1) {
+  const max = modelInfo?.maxImages || 1;
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `count must be between 1 and ${max} for ${modelInfo?.id || "this model"}`
+    );
+  }
+  return count;
+}
+
+export function describeProviders() {
+  return listProviders().map((provider) => ({
+    id: provider.id,
+    name: provider.name,
+    configured: isConfigured(provider),
+    ...(provider.envKey && { env_key: provider.envKey }),
+    ...(provider.env?.url && {
+      url: providerSettings(provider).url || null,
+      url_env: provider.env.url,
+    }),
+    accepts_any_model: Boolean(provider.acceptsModel),
+    ...(provider.accepts && { accepts: provider.accepts }),
+    models: provider.models.map((model) => ({
+      id: model.id,
+      default: Boolean(model.default),
+      ...(model.description && { description: model.description }),
+      generate: model.generate !== false,
+      max_images: model.maxImages || 1,
+      sizes: model.sizes,
+      qualities: model.qualities,
+      options: model.options || {},
+      ...(model.prices !== undefined && { prices: model.prices }),
+      ...(model.edit && { edit: model.edit }),
+    })),
+  }));
+}
+
+export const LIST_MODELS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    providers: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          configured: { type: "boolean" },
+          env_key: { type: "string" },
+          url: {
+            type: ["string", "null"],
+            description: "Server URL of a local provider, null when not set",
+          },
+          url_env: { type: "string" },
+          accepts_any_model: { type: "boolean" },
+          accepts: {
+            type: "string",
+            description: "Which unlisted model names the provider takes",
+          },
+          models: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                default: { type: "boolean" },
+                description: { type: "string" },
+                generate: {
+                  type: "boolean",
+                  description: "False for edit-only models",
+                },
+                max_images: {
+                  type: "number",
+                  description: "Most images one call can return (count)",
+                },
+                sizes: { type: "array", items: { type: "string" } },
+                qualities: { type: "array", items: { type: "string" } },
+                options: { type: "object" },
+                prices: {
+                  type: ["number", "object"],
+                  description: "USD per image, flat or by quality and size",
+                },
+                edit: {
+                  type: "object",
+                  description: "Present when the model can edit images",
+                  properties: {
+                    mask: {
+                      description: "true, false or \"required\"",
+                    },
+                    references: {
+                      type: "number",
+                      description: "Maximum number of reference images",
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  required: ["providers"],
+};
@@ -0,0 +1,262 @@
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import sharp from "sharp";
+
+// Images above this size are downscaled before being inlined in the response
+export const MAX_INLINE_IMAGE_BYTES =
+  parseInt(process.env.IMAGE_MCP_MAX_INLINE_BYTES) || 1024 * 1024;
+
+const PREVIEW_STEPS = [1024, 768, 512, 384, 256];
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json",
+  ".html": "text/html",
+};
+
+export function mimeTypeFor(filePath) {
+  return (
+    MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+// Schema shared by every tool that produces image files
+export const IMAGE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    paths: {
+      type: "array",
+      items: { type: "string" },
+      description: "Absolute paths of the saved image files",
+    },
+    provider: { type: "string" },
+    model: { type: "string" },
+    size: { type: "string", description: "WIDTHxHEIGHT of the saved image" },
+    quality: { type: "string" },
+    generated_size: {
+      type: "string",
+      description: "WIDTHxHEIGHT the provider generated, before local adjustment",
+    },
+    adjusted: {
+      type: "boolean",
+      description: "Whether the output was cropped or resized locally to the requested size",
+    },
+    format: { type: "string" },
+    bytes: { type: "number" },
+    cost: {
+      type: "number",
+      description: "Estimated USD for this call, absent when the model has no known price",
+    },
+    fallback: {
+      type: "object",
+      description: "Present when a configured fallback produced the images",
+      properties: {
+        from: { type: "string", description: "provider/model that failed" },
+        reason: { type: "string" },
+      },
+    },
+    cached: {
+      type: "boolean",
+      description: "Whether the images came from the cache instead of a new generation",
+    },
+    seed: {
+      type: "number",
+      description: "Seed a local provider used, pass it back to repeat the result",
+    },
+    alt_text: {
+      type: "string",
+      description: "Alt text for the first image, present with alt_text: true",
+    },
+    descriptions: {
+      type: "array",
+      description: "Caption and alt text for each saved image, present with alt_text: true",
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          caption: { type: "string" },
+          alt_text: { type: "string" },
+        },
+      },
+    },
+    prompt_refinement: {
+      type: "object",
+      description: "Present with enhance_prompt: the prompt as written and as sent",
+      properties: {
+        original: { type: "string" },
+        refined: { type: "string" },
+        enhanced: { type: "boolean", description: "False when the prompt was used as written" },
+        model: { type: "string" },
+        note: { type: "string" },
+        reused: {
+          type: "boolean",
+          description: "The refinement of an identical earlier request, taken from the cache",
+        },
+      },
+    },
+    variants: {
+      type: "array",
+      description: "Additional files derived from the output, such as responsive widths",
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          format: { type: "string" },
+          width: { type: "number" },
+          height: { type: "number" },
+          bytes: { type: "number" },
+        },
+      },
+    },
+  },
+  required: ["paths"],
+};
+
+// Input properties shared by every tool that produces image files
+export const IMAGE_RESULT_PROPERTIES = {
+  include_image: {
+    type: "boolean",
+    description:
+      "Inline the generated image in the response so it can be viewed (default: true)",
+    default: true,
+  },
+  preview_width: {
+    type: "number",
+    description:
+      "Downscale the inlined image to this width in pixels (optional, the saved file is untouched)",
+  },
+};
+
+async function encodePreview(filePath, width) {
+  const buffer = await sharp(filePath)
+    .resize({ width, withoutEnlargement: true })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+  return { data: buffer, mimeType: "image/png" };
+}
+
+// Returns the bytes to inline for an image, downscaling when it is over the cap
+export async function inlineImage(filePath, { previewWidth } = {}) {
+  if (previewWidth) {
+    const preview = await encodePreview(filePath, previewWidth);
+    if (preview.data.length <= MAX_INLINE_IMAGE_BYTES) {
+      return { ...preview, preview: true };
+    }
+  } else {
+    const data = await fs.readFile(filePath);
+    if (data.length <= MAX_INLINE_IMAGE_BYTES) {
+      return { data, mimeType: mimeTypeFor(filePath), preview: false };
+    }
+  }
+
+  for (const width of PREVIEW_STEPS) {
+    if (previewWidth && width >= previewWidth) continue;
+    const preview = await encodePreview(filePath, width);
+    if (preview.data.length <= MAX_INLINE_IMAGE_BYTES) {
+      return { ...preview, preview: true };
+    }
+  }
+  return null;
+}
+
+export function resourceLink(filePath, description) {
+  return {
+    type: "resource_link",
+    uri: pathToFileURL(filePath).href,
+    name: path.basename(filePath),
+    mimeType: mimeTypeFor(filePath),
+    ...(description && { description }),
+  };
+}
+
+export async function imageSize(filePath) {
+  try {
+    const { width, height } = await sharp(filePath).metadata();
+    return `${width}x${height}`;
+  } catch {
+    return undefined;
+  }
+}
+
+// Builds a CallToolResult with a text summary, the inlined image(s), a
+// resource_link per saved file and structuredContent matching IMAGE_OUTPUT_SCHEMA
+export async function buildImageResult({
+  paths,
+  summary,
+  provider,
+  model,
+  size,
+  quality,
+  includeImage = true,
+  previewWidth,
+  notes: extraNotes = [],
+  variants = [],
+  extra = {},
+}) {
+  const savedSize = paths.length ? await imageSize(paths[0]) : undefined;
+  const structuredContent = {
+    paths,
+    ...(provider && { provider }),
+    ...(model && { model }),
+    ...((savedSize || size) && { size: savedSize || size }),
+    ...(quality && { quality }),
+    ...(variants.length && { variants }),
+    ...extra,
+  };
+
+  const notes = [...extraNotes];
+  const content = [];
+
+  for (const filePath of paths) {
+    if (includeImage) {
+      try {
+        const image = await inlineImage(filePath, { previewWidth });
+        if (image) {
+          content.push({
+            type: "image",
+            data: image.data.toString("base64"),
+            mimeType: image.mimeType,
+          });
+          if (image.preview) {
+            notes.push(`Inlined a downscaled preview of ${filePath}`);
+          }
+        } else {
+          notes.push(`${filePath} is too large to inline`);
+        }
+      } catch (error) {
+        notes.push(`Could not inline ${filePath}: ${error.message}`);
+      }
+    }
+    content.push(resourceLink(filePath));
+  }
+
+  // Variants are linked but not inlined, they show the same picture
+  for (const variant of variants) {
+    content.push(resourceLink(variant.path, `${variant.width}px variant`));
+  }
+
+  const text = [
+    summary,
+    "",
+    ...paths.map((p) => `Saved: ${p}`),
+    ...variants.map((v) => `Variant: ${v.path} (${v.width}x${v.height}, ${v.bytes} bytes)`),
+    ...(provider ? [`Provider: ${provider}`] : []),
+    ...(model ? [`Model: ${model}`] : []),
+    ...(structuredContent.size ? [`Size: ${structuredContent.size}`] : []),
+    ...(quality ? [`Quality: ${quality}`] : []),
+    ...(notes.length ? ["", ...notes] : []),
+  ].join("\n");
+
+  return {
+    content: [{ type: "text", text }, ...content],
+    structuredContent,
+  };
+}
@@ -0,0 +1,255 @@
+import fs from "fs/promises";
+import path from "path";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "./logging.mjs";
+
+export const ROOT_SOURCES = {
+  config: "configured allowlist",
+  client: "client roots",
+  cwd: "working directory",
+};
+
+// Extra roots from the environment, separated like PATH
+export function envRoots() {
+  return (process.env.IMAGE_MCP_ROOTS || "")
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map((root) => path.resolve(root));
+}
+
+function hasParentSegment(value) {
+  return value.split(/[\\/]/).includes("..");
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === "" || (relative.split(path.sep)[0] !== ".." && !path.isAbsolute(relative));
+}
+
+// Resolves symlinks in the longest existing prefix of a path, so a directory
+// that doesn't exist yet is checked against where it would actually land
+async function realPath(target) {
+  const missing = [];
+  let current = target;
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...missing.reverse());
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== "ENOENT" || parent === current) throw error;
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+// Output filenames are plain names inside output_dir, never paths
+export function checkFilename(output) {
+  if (output === undefined || output === null) return;
+  if (typeof output !== "string" || !output || /[\\/]/.test(output) || [".", ".."].includes(output)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Output must be a file name without directories, got ${JSON.stringify(output)}`
+    );
+  }
+}
+
+// Keeps reads and writes inside the allowed roots. A configured allowlist
+// wins; otherwise the client's MCP roots are used, and without either the
+// server's working directory. Paths are compared after resolving symlinks,
+// and `..` segments are rejected outright. Leave out listClientRoots when
+// clients aren't trusted to pick the roots, as over HTTP.
+export class Sandbox {
+  constructor({ allowlist = [], listClientRoots } = {}) {
+    this.allowlist = allowlist;
+    this.listClientRoots = listClientRoots;
+    this.cached = null;
+  }
+
+  // Called when the client reports that its roots changed
+  invalidate() {
+    this.cached = null;
+  }
+
+  async roots() {
+    if (!this.cached) {
+      this.cached = this.loadRoots().catch((error) => {
+        this.cached = null;
+        throw error;
+      });
+    }
+    return await this.cached;
+  }
+
+  async loadRoots() {
+    let roots;
+    let source;
+    if (this.allowlist.length) {
+      roots = this.allowlist;
+      source = "config";
+    } else {
+      const clientRoots = await this.listClientRoots?.().catch((error) => {
+        log("warning", `Could not list client roots: ${error.message}`);
+        return null;
+      });
+      if (clientRoots?.length) {
+        roots = clientRoots;
+        source = "client";
+      } else {
+        roots = [process.cwd()];
+        source = "cwd";
+      }
+    }
+    return await Promise.all(
+      roots.map(async (root) => ({
+        path: root,
+        real: await realPath(root).catch(() => path.resolve(root)),
+        source,
+      }))
+    );
+  }
+
+  async assertAllowed(target, label) {
+    if (typeof target !== "string" || !path.isAbsolute(target)) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} must be an absolute path`);
+    }
+    if (hasParentSegment(target)) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} must not contain '..' segments`);
+    }
+    const real = await realPath(target);
+    const roots = await this.roots();
+    if (!roots.some((root) => isInside(root.real, real))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${label} ${target}${real !== target ? ` (resolves to ${real})` : ""} is outside the allowed roots: ${roots
+          .map((root) => root.path)
+          .join(", ")}`
+      );
+    }
+    return real;
+  }
+
+  async checkRead(filePath, label = "Input") {
+    return await this.assertAllowed(filePath, label);
+  }
+
+  // Validates an output directory, creates it, and makes sure it is writable
+  async checkOutputDir(dir) {
+    await this.assertAllowed(dir, "Output directory");
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.access(dir, fs.constants.W_OK);
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Output directory is not writable: ${error.message}`
+      );
+    }
+    // Checked again now that it exists, in case a symlink appeared meanwhile
+    return await this.assertAllowed(dir, "Output directory");
+  }
+
+  // Validates a file the server is about to write, including an existing
+  // symlink at that name that points elsewhere
+  async checkOutputFile(filePath) {
+    await this.checkOutputDir(path.dirname(filePath));
+    checkFilename(path.basename(filePath));
+    return await this.assertAllowed(filePath, "Output file");
+  }
+
+  // Resolves an output path given as absolute or relative to baseDir, before
+  // path.join gets a chance to normalize `..` away
+  async checkOutputPath(output, baseDir) {
+    if (hasParentSegment(output)) {
+      throw new McpError(ErrorCode.InvalidParams, "Output must not contain '..' segments");
+    }
+    const filePath = path.isAbsolute(output) ? output : path.join(baseDir, output);
+    await this.checkOutputFile(filePath);
+    return filePath;
+  }
+
+  // Roots with whether they exist and can be written to, for diagnose
+  async describe() {
+    const roots = await this.roots();
+    return await Promise.all(
+      roots.map(async (root) => {
+        const status = await fs
+          .access(root.real, fs.constants.W_OK)
+          .then(() => ({ exists: true, writable: true }))
+          .catch((error) => ({ exists: error.code !== "ENOENT", writable: false }));
+        return {
+          path: root.path,
+          ...(root.real !== root.path && { resolved: root.real }),
+          source: root.source,
+          ...status,
+        };
+      })
+    );
+  }
+}
+
+export const DIAGNOSE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    version: { type: "string" },
+    providers: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          configured: { type: "boolean" },
+          env_key: { type: "string" },
+          key: {
+            type: ["string", "null"],
+            description: "Masked key, or null when the variable is not set",
+          },
+          url_env: { type: "string" },
+          url: {
+            type: ["string", "null"],
+            description: "Server URL of a local provider, null when not set",
+          },
+        },
+        required: ["id", "configured"],
+      },
+    },
+    roots: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          resolved: { type: "string" },
+          source: { type: "string", enum: Object.keys(ROOT_SOURCES) },
+          exists: { type: "boolean" },
+          writable: { type: "boolean" },
+        },
+        required: ["path", "source", "writable"],
+      },
+    },
+    config_files: { type: "array", items: { type: "string" } },
+    presets: { type: "array", items: { type: "string" } },
+    vision: {
+      type: "object",
+      description: "Endpoint used by describe_image and alt_text",
+      properties: {
+        base_url: { type: "string" },
+        model: { type: "string" },
+        env_key: { type: "string" },
+        key: { type: ["string", "null"] },
+      },
+    },
+    cache: {
+      type: "object",
+      properties: {
+        dir: { type: "string" },
+        enabled: { type: "boolean" },
+      },
+    },
+    concurrency: { type: "number" },
+    node: { type: "string" },
+    platform: { type: "string" },
+    cwd: { type: "string" },
+  },
+  required: ["providers", "roots"],
+};
@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import sharp from "sharp";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+export const DEFAULT_SIZE = "1024x1024";
+
+export const FIT_MODES = ["cover", "contain", "fill"];
+
+export function parseSize(size) {
+  const match = /^(\d+)\s*x\s*(\d+)$/i.exec(String(size).trim());
+  if (!match) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid size: ${size}. Use WIDTHxHEIGHT, e.g. 1200x630`
+    );
+  }
+  const width = parseInt(match[1]);
+  const height = parseInt(match[2]);
+  if (!width || !height || width > 8192 || height > 8192) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid size: ${size}. Width and height must be between 1 and 8192`
+    );
+  }
+  return { width, height };
+}
+
+export function parseAspectRatio(aspectRatio) {
+  const match = /^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/i.exec(
+    String(aspectRatio).trim()
+  );
+  const ratio = match && parseFloat(match[1]) / parseFloat(match[2]);
+  if (!ratio || !isFinite(ratio)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid aspect ratio: ${aspectRatio}. Use W:H, e.g. 16:9`
+    );
+  }
+  return ratio;
+}
+
+export function formatSize({ width, height }) {
+  return `${width}x${height}`;
+}
+
+// Closest aspect ratio wins; among equal ratios prefer the smallest size that
+// still covers the target so the local resize only ever scales down
+export function closestSupportedSize(sizes, { width, height }) {
+  const ratio = width / height;
+  const candidates = sizes.map(parseSize).map((size) => ({
+    size,
+    ratioDistance: Math.abs(Math.log(size.width / size.height / ratio)),
+    covers: size.width >= width && size.height >= height,
+    area: size.width * size.height,
+  }));
+
+  candidates.sort(
+    (a, b) =>
+      a.ratioDistance - b.ratioDistance ||
+      Number(b.covers) - Number(a.covers) ||
+      (a.covers ? a.area - b.area : b.area - a.area)
+  );
+  return candidates[0].size;
+}
+
+// Works out what to ask the provider for and what the saved file should be.
+// `target` is null when the provider output can be kept as is.
+export function planSize({ size, aspect_ratio }, modelInfo) {
+  if (size && aspect_ratio) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      "Pass either size or aspect_ratio, not both"
+    );
+  }
+
+  const sizes = modelInfo?.sizes || [];
+
+  if (aspect_ratio) {
+    const ratio = parseAspectRatio(aspect_ratio);
+    // Use the largest supported size as the reference area
+    const largest = sizes.map(parseSize).sort(
+      (a, b) => b.width * b.height - a.width * a.height
+    )[0] || parseSize(DEFAULT_SIZE);
+    const area = largest.width * largest.height;
+    const wanted = {
+      width: Math.round(Math.sqrt(area * ratio)),
+      height: Math.round(Math.sqrt(area / ratio)),
+    };
+    const providerSize = sizes.length
+      ? closestSupportedSize(sizes, wanted)
+      : wanted;
+    // Crop the provider output to the exact ratio without scaling it up
+    const scale = Math.min(
+      providerSize.width / wanted.width,
+      providerSize.height / wanted.height
+    );
+    const target = {
+      width: Math.round(wanted.width * scale),
+      height: Math.round(wanted.height * scale),
+    };
+    // Ratios within 1% are close enough to keep the provider output as is
+    const exact =
+      Math.abs(providerSize.width / providerSize.height / ratio - 1) < 0.01;
+    return {
+      providerSize: formatSize(providerSize),
+      target: exact ? null : target,
+    };
+  }
+
+  const requested = parseSize(size || DEFAULT_SIZE);
+  if (!sizes.length || sizes.includes(formatSize(requested))) {
+    return { providerSize: formatSize(requested), target: null };
+  }
+
+  const providerSize = closestSupportedSize(sizes, requested);
+  return { providerSize: formatSize(providerSize), target: requested };
+}
+
+// Crops and/or resizes a saved image in place to the exact requested pixels
+export async function fitImage(filePath, { width, height }, fit = "cover") {
+  const buffer = await sharp(filePath)
+    .resize({
+      width,
+      height,
+      fit,
+      position: fit === "cover" ? "attention" : "centre",
+    })
+    .toBuffer();
+  await fs.writeFile(filePath, buffer);
+}
+
+// Describes the local adjustment for the text response
+export function describeAdjustment(providerSize, target, fit = "cover") {
+  const action =
+    fit === "cover" ? "cropped and resized" : fit === "contain" ? "letterboxed" : "stretched";
+  return `Provider generated ${providerSize}; ${action} locally to ${formatSize(target)}`;
+}
@@ -0,0 +1,230 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+export const USAGE_GROUPS = ["day", "session", "project", "provider", "model"];
+
+export function defaultLedgerPath() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+  return path.join(base, "image-mcp", "usage.jsonl");
+}
+
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// UTC day, so a ledger shared between machines agrees on "today"
+function dayOf(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+function round(cost) {
+  return Math.round(cost * 10000) / 10000;
+}
+
+// Looks up USD per image in a price table: a flat number, or an object keyed
+// by quality whose values are a number or an object keyed by size. Both
+// levels fall back to a `default` key. Returns null when the model is unpriced.
+export function priceFor(table, { quality, size } = {}) {
+  if (typeof table === "number") return table;
+  if (!table || typeof table !== "object") return null;
+  const byQuality = table[quality] ?? table.default;
+  if (typeof byQuality === "number") return byQuality;
+  if (!byQuality || typeof byQuality !== "object") return null;
+  return byQuality[size] ?? byQuality.default ?? null;
+}
+
+// Append-only JSONL of every generation with what it cost. Several server
+// processes may share the file, so totals are always read back from disk.
+// Budgets are checked before a generation starts; in-flight estimates count
+// against them so parallel calls can't all slip under the limit at once.
+export class UsageLedger {
+  constructor({
+    ledger = process.env.IMAGE_MCP_USAGE_LEDGER || defaultLedgerPath(),
+    prices = {},
+    budgets = {},
+  } = {}) {
+    this.path = ledger;
+    this.prices = prices;
+    this.budgets = {
+      session_usd: envNumber("IMAGE_MCP_BUDGET_SESSION") ?? budgets.session_usd,
+      daily_usd: envNumber("IMAGE_MCP_BUDGET_DAILY") ?? budgets.daily_usd,
+    };
+    this.pending = new Map();
+  }
+
+  // Config prices override the built-in table, keyed by model id. Models
+  // neither lists fall back to a config price keyed by provider id, then to
+  // the provider's own, e.g. $0 for local servers.
+  priceFor(model, modelInfo, { quality, size }, provider) {
+    const table =
+      this.prices[model] ??
+      modelInfo?.prices ??
+      (provider && (this.prices[provider.id] ?? provider.prices));
+    return priceFor(table, { quality, size });
+  }
+
+  async read() {
+    let text;
+    try {
+      text = await fs.readFile(this.path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const records = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip a damaged line rather than losing the whole ledger
+      }
+    }
+    return records;
+  }
+
+  async append(record) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.appendFile(this.path, `${JSON.stringify(record)}\n`, "utf8");
+  }
+
+  pendingCost(session) {
+    let total = 0;
+    for (const reservation of this.pending.values()) {
+      if (!session || reservation.session === session) total += reservation.cost;
+    }
+    return total;
+  }
+
+  async spent(session) {
+    const today = dayOf(new Date().toISOString());
+    let sessionCost = 0;
+    let dailyCost = 0;
+    for (const record of await this.read()) {
+      if (record.session === session) sessionCost += record.cost || 0;
+      if (dayOf(record.at) === today) dailyCost += record.cost || 0;
+    }
+    return { session: round(sessionCost), daily: round(dailyCost) };
+  }
+
+  // Holds `cost` against the budgets until release() is called, or refuses
+  // the generation when it would go over one of them. A null cost is a model
+  // without a price, which a budget can't account for, so it is refused too.
+  async reserve({ session, cost, model }) {
+    const { session_usd, daily_usd } = this.budgets;
+    if (session_usd !== undefined || daily_usd !== undefined) {
+      if (cost === null) {
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          `No price is known for ${model}, so the budget can't cover it. Add its USD price per image under prices in the config, keyed by the model or by its provider.`,
+          { reason: "unpriced", model }
+        );
+      }
+      const spent = await this.spent(session);
+      const checks = [
+        ["session", session_usd, spent.session + this.pendingCost(session)],
+        ["daily", daily_usd, spent.daily + this.pendingCost()],
+      ];
+      for (const [scope, limit, used] of checks) {
+        if (limit === undefined || used + cost <= limit + 1e-9) continue;
+        throw new McpError(
+          ErrorCode.InvalidRequest,
+          `The ${scope} budget of $${limit.toFixed(2)} would be exceeded: $${used.toFixed(
+            4
+          )} spent or in progress, this generation costs about $${cost.toFixed(
+            4
+          )}. Raise ${
+            scope === "session"
+              ? "budgets.session_usd (IMAGE_MCP_BUDGET_SESSION)"
+              : "budgets.daily_usd (IMAGE_MCP_BUDGET_DAILY)"
+          } to continue.`,
+          { reason: "budget_exceeded", scope, limit, spent: round(used), estimate: round(cost) }
+        );
+      }
+    }
+    const id = Symbol("reservation");
+    this.pending.set(id, { session, cost: cost || 0 });
+    return () => this.pending.delete(id);
+  }
+
+  async summarize({ group_by = "day", days = 30, session, project } = {}) {
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const records = (await this.read()).filter(
+      (record) =>
+        record.at >= since &&
+        (!session || record.session === session) &&
+        (!project || record.project === project)
+    );
+
+    const groups = new Map();
+    for (const record of records) {
+      const key =
+        (group_by === "day" ? dayOf(record.at) : record[group_by]) || "unknown";
+      const group = groups.get(key) || {
+        key,
+        cost: 0,
+        images: 0,
+        generations: 0,
+        cached: 0,
+        unpriced: 0,
+      };
+      group.cost += record.cost || 0;
+      group.images += record.images || 0;
+      group.generations += 1;
+      if (record.cached) group.cached += 1;
+      if (record.cost === null) group.unpriced += 1;
+      groups.set(key, group);
+    }
+
+    const sorted = [...groups.values()]
+      .map((group) => ({ ...group, cost: round(group.cost) }))
+      .sort((a, b) => (group_by === "day" ? b.key.localeCompare(a.key) : b.cost - a.cost));
+    return {
+      group_by,
+      days,
+      total_cost: round(records.reduce((sum, record) => sum + (record.cost || 0), 0)),
+      images: records.reduce((sum, record) => sum + (record.images || 0), 0),
+      generations: records.length,
+      groups: sorted,
+    };
+  }
+}
+
+export const USAGE_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    group_by: { type: "string", enum: USAGE_GROUPS },
+    days: { type: "number" },
+    total_cost: { type: "number", description: "Estimated USD" },
+    images: { type: "number" },
+    generations: { type: "number" },
+    groups: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          key: { type: "string" },
+          cost: { type: "number" },
+          images: { type: "number" },
+          generations: { type: "number" },
+          cached: { type: "number", description: "Generations served from the cache at no cost" },
+          unpriced: { type: "number", description: "Generations with no known price" },
+        },
+      },
+    },
+    budgets: {
+      type: "object",
+      properties: {
+        session_usd: { type: "number" },
+        daily_usd: { type: "number" },
+        session_spent: { type: "number" },
+        daily_spent: { type: "number" },
+      },
+    },
+    ledger: { type: "string" },
+  },
+  required: ["total_cost", "groups"],
+};
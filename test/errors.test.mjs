@@ -0,0 +1,12 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ProviderError, toMcpError } from "../src/errors.mjs";
+
+test("toMcpError doesn't double a period the provider message ends with", () => {
+  const error = toMcpError(
+    new ProviderError("rate_limit", "Rate limit reached for requests.", { provider: "openai" })
+  );
+  assert.match(error.message, /\(openai\): Rate limit reached for requests\. \S/);
+  assert.doesNotMatch(error.message, /\.\./);
+  assert.equal(error.data.kind, "rate_limit");
+});
@@ -0,0 +1,269 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import sharp from "sharp";
+import {
+  DEFAULT_COMFYUI_WORKFLOW,
+  automatic1111Generate,
+  comfyuiGenerate,
+  fillWorkflow,
+} from "../src/local.mjs";
+
+async function png(width, height) {
+  return await sharp({
+    create: { width, height, channels: 3, background: { r: 40, g: 120, b: 200 } },
+  })
+    .png()
+    .toBuffer();
+}
+
+// A stand-in for a local server: routes map "METHOD /path" to a handler that
+// gets the parsed JSON body and returns { status, json } or { status, body }.
+// Every request is recorded.
+async function startStub(routes) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString("utf8");
+    const url = new URL(req.url, "http://stub");
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: text ? JSON.parse(text) : undefined,
+    };
+    requests.push(request);
+    const handler =
+      routes[`${req.method} ${url.pathname}`] ||
+      routes[`${req.method} ${url.pathname.replace(/[^/]+$/, ":id")}`];
+    const reply = handler ? await handler(request) : { status: 404, json: { error: "no route" } };
+    if (reply.json !== undefined) {
+      res.writeHead(reply.status || 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.json));
+    } else {
+      res.writeHead(reply.status || 200, { "Content-Type": "image/png" });
+      res.end(reply.body);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    closeAll: () => server.closeAllConnections(),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeout) return reject(new Error("Timed out waiting"));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+test("fillWorkflow keeps whole placeholders typed and fills embedded ones as text", () => {
+  const filled = fillWorkflow(
+    { a: "{{seed}}", b: "seed {{ seed }} for {{prompt}}", c: ["{{width}}", 0], d: 1 },
+    { seed: 42, prompt: "a fox", width: 512 }
+  );
+  assert.deepEqual(filled, { a: 42, b: "seed 42 for a fox", c: [512, 0], d: 1 });
+});
+
+test("fillWorkflow names unknown placeholders and a missing checkpoint", () => {
+  assert.throws(() => fillWorkflow({ a: "{{colour}}" }, { seed: 1 }), /Unknown placeholder \{\{colour\}\}.*seed/);
+  assert.throws(
+    () => fillWorkflow({ 4: DEFAULT_COMFYUI_WORKFLOW[4] }, { checkpoint: undefined }),
+    /needs a checkpoint/
+  );
+});
+
+test("automatic1111Generate posts a latent-sized txt2img and crops back", async (t) => {
+  const image = (await png(504, 504)).toString("base64");
+  const stub = await startStub({
+    "POST /sdapi/v1/txt2img": () => ({ json: { images: [image, image, image] } }),
+  });
+  t.after(stub.close);
+
+  const { images, parameters } = await automatic1111Generate({
+    settings: { url: stub.url, steps: 30 },
+    model: "dreamshaper_8.safetensors [879db523c3]",
+    prompt: "a lighthouse",
+    size: "500x500",
+    n: 2,
+    options: { seed: 7, negative_prompt: "blurry" },
+  });
+
+  const { body } = stub.requests[0];
+  assert.equal(body.width, 504);
+  assert.equal(body.height, 504);
+  assert.equal(body.seed, 7);
+  assert.equal(body.steps, 30);
+  assert.equal(body.batch_size, 2);
+  assert.equal(body.negative_prompt, "blurry");
+  assert.equal(body.override_settings.sd_model_checkpoint, "dreamshaper_8.safetensors [879db523c3]");
+  // The grid image after the batch is dropped
+  assert.equal(images.length, 2);
+  const metadata = await sharp(images[0]).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [500, 500]);
+  assert.equal(parameters.seed, 7);
+});
+
+test("automatic1111Generate reports API errors with the status", async (t) => {
+  const stub = await startStub({
+    "POST /sdapi/v1/txt2img": () => ({ status: 500, json: { detail: "CUDA out of memory" } }),
+  });
+  t.after(stub.close);
+  await assert.rejects(
+    automatic1111Generate({ settings: { url: stub.url }, model: "sd", prompt: "x", size: "512x512" }),
+    (error) => error.status === 500 && /CUDA out of memory/.test(error.message)
+  );
+});
+
+test("automatic1111Generate gives up on a hung server with a timeout error", async (t) => {
+  const stub = await startStub({
+    "POST /sdapi/v1/txt2img": () => new Promise(() => {}),
+  });
+  t.after(() => {
+    stub.closeAll();
+    return stub.close();
+  });
+  await assert.rejects(
+    automatic1111Generate({
+      settings: { url: stub.url, timeout_ms: 200 },
+      model: "sd",
+      prompt: "x",
+      size: "512x512",
+    }),
+    (error) => error.kind === "timeout" && /timed out after 0.2s/.test(error.message)
+  );
+});
+
+test("comfyuiGenerate queues the workflow, waits in history and downloads saved images", async (t) => {
+  const image = await png(512, 512);
+  let polls = 0;
+  const stub = await startStub({
+    "POST /prompt": ({ body }) => ({ json: { prompt_id: body.prompt_id, number: 1 } }),
+    "GET /history/:id": ({ path }) => {
+      const id = path.split("/").pop();
+      if (++polls < 2) return { json: {} };
+      return {
+        json: {
+          [id]: {
+            status: { status_str: "success", completed: true },
+            outputs: {
+              9: { images: [{ filename: "image-mcp_00001_.png", subfolder: "", type: "output" }] },
+              10: { images: [{ filename: "preview.png", subfolder: "", type: "temp" }] },
+            },
+          },
+        },
+      };
+    },
+    "GET /view": () => ({ body: image }),
+  });
+  t.after(stub.close);
+
+  const { images, parameters } = await comfyuiGenerate({
+    settings: { url: stub.url, checkpoint: "sdxl.safetensors" },
+    model: "comfyui",
+    prompt: "a lighthouse",
+    size: "512x512",
+    options: { seed: 3, steps: 12 },
+  });
+
+  const queued = stub.requests.find((request) => request.path === "/prompt").body;
+  assert.equal(queued.prompt[3].inputs.seed, 3);
+  assert.equal(queued.prompt[3].inputs.steps, 12);
+  assert.equal(queued.prompt[4].inputs.ckpt_name, "sdxl.safetensors");
+  assert.equal(queued.prompt[6].inputs.text, "a lighthouse");
+  const views = stub.requests.filter((request) => request.path === "/view");
+  assert.deepEqual(views.map((request) => request.query.filename), ["image-mcp_00001_.png"]);
+  assert.equal(images.length, 1);
+  assert.equal(parameters.steps, 12);
+});
+
+test("comfyuiGenerate reports a failed workflow with the node", async (t) => {
+  const stub = await startStub({
+    "POST /prompt": ({ body }) => ({ json: { prompt_id: body.prompt_id } }),
+    "GET /history/:id": ({ path }) => ({
+      json: {
+        [path.split("/").pop()]: {
+          status: {
+            status_str: "error",
+            messages: [["execution_error", { node_type: "KSampler", exception_message: "boom" }]],
+          },
+        },
+      },
+    }),
+  });
+  t.after(stub.close);
+  await assert.rejects(
+    comfyuiGenerate({
+      settings: { url: stub.url, checkpoint: "sdxl.safetensors" },
+      model: "comfyui",
+      prompt: "x",
+      size: "512x512",
+    }),
+    /failed in KSampler: boom/
+  );
+});
+
+// Starts a generation that never finishes, with the queue reporting our
+// prompt as running or pending, and cancels it
+async function cancelWhile(t, where) {
+  let promptId;
+  const stub = await startStub({
+    "POST /prompt": ({ body }) => {
+      promptId = body.prompt_id;
+      return { json: { prompt_id: promptId } };
+    },
+    "GET /history/:id": () => ({ json: {} }),
+    "GET /queue": () => ({
+      json: {
+        queue_running: [[0, where === "running" ? promptId : "someone-else", {}, {}, []]],
+        queue_pending: where === "pending" ? [[1, promptId, {}, {}, []]] : [],
+      },
+    }),
+    "POST /interrupt": () => ({ json: {} }),
+    "POST /queue": () => ({ json: {} }),
+  });
+  t.after(stub.close);
+
+  const controller = new AbortController();
+  const generation = comfyuiGenerate({
+    settings: { url: stub.url, checkpoint: "sdxl.safetensors" },
+    model: "comfyui",
+    prompt: "x",
+    size: "512x512",
+    signal: controller.signal,
+  });
+  await waitFor(() => stub.requests.some((request) => request.path.startsWith("/history/")));
+  controller.abort();
+  await assert.rejects(generation, { name: "AbortError" });
+  await waitFor(() =>
+    stub.requests.some((request) => request.method === "POST" && request.path !== "/prompt")
+  );
+  return { stub, promptId };
+}
+
+test("cancelling a running ComfyUI prompt interrupts it", async (t) => {
+  const { stub, promptId } = await cancelWhile(t, "running");
+  const cleanup = stub.requests.filter((request) => request.method === "POST" && request.path !== "/prompt");
+  assert.deepEqual(cleanup, [
+    { method: "POST", path: "/interrupt", query: {}, body: { prompt_id: promptId } },
+  ]);
+});
+
+test("cancelling a queued ComfyUI prompt deletes it and leaves the running one alone", async (t) => {
+  const { stub, promptId } = await cancelWhile(t, "pending");
+  const cleanup = stub.requests.filter((request) => request.method === "POST" && request.path !== "/prompt");
+  assert.deepEqual(cleanup, [
+    { method: "POST", path: "/queue", query: {}, body: { delete: [promptId] } },
+  ]);
+});
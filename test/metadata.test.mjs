@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildProvenance } from "../src/metadata.mjs";
+
+test("buildProvenance keeps folders and full paths out of the record", () => {
+  const record = buildProvenance(
+    "edit_image",
+    {
+      prompt: "make it snow",
+      image: "/home/alice/site/src/hero.png",
+      mask: "/home/alice/site/src/hero-mask.png",
+      references: ["/home/alice/refs/snow.jpg"],
+      output_dir: "/home/alice/site/public",
+      output: "hero-snow.png",
+      size: "1024x1024",
+      include_image: false,
+    },
+    { provider: "openai", model: "gpt-image-1" },
+    "/home/alice/site/public/hero-snow.png"
+  );
+
+  assert.equal(record.file, "hero-snow.png");
+  assert.equal(record.source, "hero.png");
+  assert.deepEqual(record.parameters, {
+    prompt: "make it snow",
+    image: "hero.png",
+    mask: "hero-mask.png",
+    references: ["snow.jpg"],
+    output: "hero-snow.png",
+    size: "1024x1024",
+  });
+  assert.doesNotMatch(JSON.stringify(record), /alice/);
+});
@@ -0,0 +1,314 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+// End to end against the mock provider: the real server over stdio, in a
+// scratch project whose config turns the mock on, keeps retries fast and
+// points Automatic1111 at a closed port so failover has something to fail.
+
+const SERVER = fileURLToPath(new URL("../src/mcp.mjs", import.meta.url));
+
+let dir;
+let client;
+
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Starts the server in a fresh scratch project with the given config on top
+// of the shared one
+async function startServer(overrides = {}) {
+  const project = await fs.mkdtemp(path.join(os.tmpdir(), "image-mcp-test-"));
+  await fs.writeFile(
+    path.join(project, "image-mcp.config.json"),
+    JSON.stringify({
+      mock: { enabled: true },
+      retry: { retries: 2, base_delay_ms: 1, max_delay_ms: 5 },
+      local: { automatic1111: { url: `http://127.0.0.1:${await closedPort()}` } },
+      fallbacks: [{ provider: "mock" }],
+      audit_log: false,
+      ...overrides,
+    })
+  );
+
+  // Provider keys are left out, so nothing can reach a paid API
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(
+      ([name]) => !/^(OPENAI_API_KEY|REPLICATE_API_TOKEN|IMAGE_MCP_)/.test(name)
+    )
+  );
+  const connected = new Client({ name: "image-mcp-test", version: "1.0.0" });
+  await connected.connect(
+    new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVER],
+      cwd: project,
+      stderr: "ignore",
+      env: {
+        ...env,
+        XDG_CONFIG_HOME: path.join(project, "config"),
+        XDG_DATA_HOME: path.join(project, "data"),
+        IMAGE_MCP_CACHE_DIR: path.join(project, "cache"),
+        IMAGE_MCP_USAGE_LEDGER: path.join(project, "usage.jsonl"),
+        IMAGE_MCP_LOG_LEVEL: "error",
+      },
+    })
+  );
+  return {
+    dir: project,
+    client: connected,
+    close: async () => {
+      await connected.close();
+      await fs.rm(project, { recursive: true, force: true });
+    },
+  };
+}
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  ({ dir, client } = server);
+});
+
+after(async () => {
+  await server?.close();
+});
+
+// Retries show up as progress messages, which is how the tests count them:
+// older SDKs don't pass an error's data on to the client
+function generate(args, retries = []) {
+  return client.callTool(
+    {
+      name: "generate_ai_image",
+      arguments: { output_dir: path.join(dir, "out"), include_image: false, ...args },
+    },
+    undefined,
+    {
+      onprogress: ({ message }) => {
+        if (/retrying/.test(message || "")) retries.push(message);
+      },
+    }
+  );
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail("Expected the call to fail");
+}
+
+test("generates a placeholder at the requested size", async () => {
+  const result = await generate({ prompt: "a red fox in the snow", size: "640x480", force: true });
+
+  assert.equal(result.isError, undefined);
+  const { provider, model, paths } = result.structuredContent;
+  assert.equal(provider, "mock");
+  assert.equal(model, "mock-image");
+  assert.equal(paths.length, 1);
+  const metadata = await sharp(paths[0]).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [640, 480]);
+  assert.match(result.content[0].text, /^Image generation completed successfully using library imports!/);
+});
+
+// ai-image's ImageGenerator refuses to start without an API key, so the
+// library path must not build one for a provider that has its own generate()
+test("the keyless mock works on the library path when named explicitly", async () => {
+  const result = await generate({
+    prompt: "a bicycle against a wall",
+    provider: "mock",
+    model: "mock-image",
+    count: 2,
+    force: true,
+  });
+  assert.equal(result.structuredContent.provider, "mock");
+  assert.equal(result.structuredContent.paths.length, 2);
+  await Promise.all(result.structuredContent.paths.map((file) => fs.access(file)));
+});
+
+test("the same prompt always gives the same pixels", async () => {
+  const args = { prompt: "a lighthouse at dusk", size: "256x256", force: true };
+  const first = await generate(args);
+  const second = await generate(args);
+  const [a, b] = await Promise.all(
+    [first, second].map((result) => sharp(result.structuredContent.paths[0]).raw().toBuffer())
+  );
+  assert.notEqual(first.structuredContent.paths[0], second.structuredContent.paths[0]);
+  assert.ok(a.equals(b));
+});
+
+test("a failure marker with a count is retried until it succeeds", async () => {
+  const retries = [];
+  const result = await generate({ prompt: "a tidal pool [mock:rate_limit*2]", force: true }, retries);
+  assert.equal(result.structuredContent.provider, "mock");
+  assert.equal(result.structuredContent.fallback, undefined);
+  assert.equal(retries.length, 2);
+  assert.match(retries[0], /^Rate limited/);
+});
+
+test("a failure marker without a count fails with its kind after the retries", async () => {
+  const retries = [];
+  const error = await rejection(generate({ prompt: "a kiln [mock:transient]", force: true }, retries));
+  assert.equal(error.code, -32014);
+  assert.match(error.message, /\(mock\).*mock transient/);
+  assert.equal(retries.length, 2);
+});
+
+test("a failure that isn't retryable fails on the first attempt", async () => {
+  const retries = [];
+  const error = await rejection(generate({ prompt: "a castle [mock:content_policy]", force: true }, retries));
+  assert.equal(error.code, -32010);
+  assert.match(error.message, /mock content_policy/);
+  assert.deepEqual(retries, []);
+});
+
+test("a provider that stays down fails over to the configured fallback", async () => {
+  const result = await generate({ prompt: "a quiet harbour", provider: "automatic1111", force: true });
+  const { provider, fallback } = result.structuredContent;
+  assert.equal(provider, "mock");
+  assert.equal(fallback.reason, "transient");
+  assert.match(fallback.from, /^automatic1111\//);
+  assert.match(result.content[0].text, /^Generated with fallback mock\/mock-image/);
+});
+
+test("a fallback the budget can't cover is skipped", async () => {
+  const budgeted = await startServer({
+    budgets: { session_usd: 0.1 },
+    prices: { "mock-image": 0.5 },
+  });
+  try {
+    const error = await rejection(
+      budgeted.client.callTool({
+        name: "generate_ai_image",
+        arguments: {
+          prompt: "a quiet harbour",
+          provider: "automatic1111",
+          output_dir: path.join(budgeted.dir, "out"),
+          include_image: false,
+        },
+      })
+    );
+    assert.equal(error.code, -32014);
+    assert.match(error.message, /automatic1111/);
+    await assert.rejects(fs.access(path.join(budgeted.dir, "usage.jsonl")));
+  } finally {
+    await budgeted.close();
+  }
+});
+
+test("a background is refused by a model that doesn't declare it", async () => {
+  const error = await rejection(generate({ prompt: "a cut-out apple", background: "transparent" }));
+  assert.equal(error.code, -32602);
+  assert.match(error.message, /mock-image doesn't take a background/);
+});
+
+test("a repeated request is served from the cache", async () => {
+  const args = { prompt: `a paper boat ${Date.now()}`, size: "320x320" };
+  const first = await generate(args);
+  const second = await generate(args);
+  assert.ok(!first.structuredContent.cached);
+  assert.equal(second.structuredContent.cached, true);
+  const [a, b] = await Promise.all(
+    [first, second].map((result) => fs.readFile(result.structuredContent.paths[0]))
+  );
+  assert.ok(a.equals(b));
+});
+
+test("identical Markdown placeholders share one generated image", async () => {
+  const post = path.join(dir, "posts", "twice.md");
+  await fs.mkdir(path.dirname(post), { recursive: true });
+  const placeholder = `![A fox](generate: "a red fox ${Date.now()}")`;
+  await fs.writeFile(post, `# Foxes\n\n${placeholder}\n\nAgain:\n\n${placeholder}\n`);
+
+  const { structuredContent } = await client.callTool({
+    name: "generate_from_markdown",
+    arguments: { path: post },
+  });
+  assert.equal(structuredContent.generated, 1);
+  assert.deepEqual(
+    structuredContent.items.map((item) => item.status),
+    ["generated", "generated"]
+  );
+  assert.equal(structuredContent.items[0].path, structuredContent.items[1].path);
+  const assets = await fs.readdir(path.join(dir, "posts", "assets"));
+  assert.equal(assets.filter((name) => name.endsWith(".png")).length, 1);
+  const text = await fs.readFile(post, "utf8");
+  assert.equal(text.split(`](${structuredContent.items[0].link})`).length, 3);
+});
+
+async function waitForJob(jobId) {
+  for (let poll = 0; poll < 100; poll++) {
+    const { structuredContent: job } = await client.callTool({
+      name: "get_image_job",
+      arguments: { job_id: jobId },
+    });
+    if (!["queued", "running"].includes(job.state)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.fail(`Job ${jobId} did not finish`);
+}
+
+test("a background job runs the generation and keeps its result", async () => {
+  const { structuredContent: started } = await client.callTool({
+    name: "start_image_job",
+    arguments: {
+      arguments: { prompt: "a kite over dunes", output_dir: path.join(dir, "jobs"), force: true },
+    },
+  });
+  assert.equal(started.tool, "generate_ai_image");
+
+  const job = await waitForJob(started.job_id);
+  assert.equal(job.state, "succeeded");
+  assert.equal(job.result.provider, "mock");
+  await fs.access(job.result.paths[0]);
+});
+
+test("a background job that fails reports the error", async () => {
+  const { structuredContent: started } = await client.callTool({
+    name: "start_image_job",
+    arguments: {
+      arguments: { prompt: "a comet [mock:quota]", output_dir: path.join(dir, "jobs"), force: true },
+    },
+  });
+  const job = await waitForJob(started.job_id);
+  assert.equal(job.state, "failed");
+  assert.match(job.error, /quota/i);
+});
+
+test("a background job that fails before it starts is in the audit log", async () => {
+  const audited = await startServer({ audit_log: "audit.jsonl" });
+  try {
+    const { structuredContent: started } = await audited.client.callTool({
+      name: "start_image_job",
+      arguments: {
+        arguments: { prompt: "a heron", style: "no-such-style", output_dir: path.join(audited.dir, "jobs") },
+      },
+    });
+    const log = path.join(audited.dir, "audit.jsonl");
+    let entries = [];
+    for (let poll = 0; poll < 100 && !entries.some((entry) => entry.job_id); poll++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const text = await fs.readFile(log, "utf8").catch(() => "");
+      entries = text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    }
+    const entry = entries.find((candidate) => candidate.job_id === started.job_id);
+    assert.equal(entry?.outcome, "error");
+    assert.match(entry.error, /Unknown style no-such-style/);
+  } finally {
+    await audited.close();
+  }
+});